@@ -0,0 +1,109 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const _ = require('lodash');
+
+const glob = require('./glob');
+
+// The statistics we can compute over an interval.  The last value is always
+// written as the plain measure, so it isn't listed here.
+const STATISTICS = ['min', 'max', 'mean', 'count', 'first'];
+
+// given the list of { path, statistics } from the config, return a function
+// that gives the statistics to compute for a path, the first matching glob
+// wins
+let _construct_statistics_function = function(aggregations) {
+    const rules = (aggregations || []).map(function(aggregation) {
+        return {
+            regex: glob.to_regex(aggregation.path),
+            statistics: _.intersection(STATISTICS, aggregation.statistics || STATISTICS)
+        };
+    });
+    // paths are looked up on every delta, so remember the answer
+    let cache = {};
+
+    return function(path) {
+        if (_.isUndefined(cache[path])) {
+            const rule = rules.find(r => r.regex.test(path));
+            cache[path] = rule ? rule.statistics : [];
+        }
+        return cache[path];
+    };
+};
+
+// add point to the existing point for the interval, the result is the latest
+// point with the running statistics in point.stats
+let _add = function(existing, point, statistics) {
+    if (statistics.length == 0) {
+        return point;
+    }
+
+    let stats;
+    if (_.isUndefined(existing) || _.isUndefined(existing.stats)) {
+        stats = { first: point.value, count: 0, sum: 0, numeric_count: 0 };
+    } else {
+        stats = _.clone(existing.stats);
+    }
+
+    stats.count += 1;
+    // min/max/mean only make sense for numbers
+    if (typeof(point.value) == 'number' && !isNaN(point.value)) {
+        stats.min = _.isUndefined(stats.min) ? point.value : Math.min(stats.min, point.value);
+        stats.max = _.isUndefined(stats.max) ? point.value : Math.max(stats.max, point.value);
+        stats.sum += point.value;
+        stats.numeric_count += 1;
+    }
+
+    return Object.assign({}, point, {
+        statistics: statistics,
+        stats: stats
+    });
+};
+
+// convert a point with stats into the point itself, plus a point for each
+// statistic, all at the time of the last value
+let _expand = function(point) {
+    if (_.isUndefined(point.stats)) {
+        return [point];
+    }
+
+    const stats = point.stats;
+    const values = {
+        min: stats.min,
+        max: stats.max,
+        mean: stats.numeric_count > 0 ? stats.sum / stats.numeric_count : undefined,
+        count: stats.count,
+        first: stats.first
+    };
+
+    const last = _.omit(point, ['statistics', 'stats']);
+    const statistic_points = point.statistics
+        .filter(statistic => !_.isUndefined(values[statistic]))
+        .map(function(statistic) {
+            return Object.assign({}, last, {
+                statistic: statistic,
+                value: values[statistic]
+            });
+        });
+
+    return [last].concat(statistic_points);
+};
+
+module.exports = {
+    STATISTICS: STATISTICS,
+    construct_statistics_function: _construct_statistics_function,
+    add: _add,
+    expand: _expand
+};
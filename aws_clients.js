@@ -0,0 +1,92 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const debug = require('debug')('signalk-to-timestream:aws_clients');
+const aws = require('aws-sdk');
+const _ = require('lodash');
+
+// credentials:
+//  profile: a named profile from the shared credentials file
+//  access_key_id, secret_access_key: access keys
+//  role_arn: a role to assume with the credentials above
+//
+// Anything not given falls back to the SDK's default chain (environment,
+// shared files, instance role).
+let _credentials = function(credentials, label) {
+    credentials = credentials || {};
+
+    let base;
+    if (credentials.access_key_id && credentials.secret_access_key) {
+        debug(`${label} using access key ${credentials.access_key_id}`);
+        base = new aws.Credentials(credentials.access_key_id, credentials.secret_access_key);
+    } else if (credentials.profile) {
+        debug(`${label} using profile ${credentials.profile}`);
+        base = new aws.SharedIniFileCredentials({ profile: credentials.profile });
+    }
+
+    if (credentials.role_arn) {
+        debug(`${label} assuming role ${credentials.role_arn}`);
+        return new aws.ChainableTemporaryCredentials({
+            params: {
+                RoleArn: credentials.role_arn,
+                RoleSessionName: `signalk-to-timestream-${label}`
+            },
+            masterCredentials: base
+        });
+    }
+    return base;
+};
+
+let _has_credentials = function(credentials) {
+    return !_.isEmpty(_.omitBy(credentials || {}, value => _.isUndefined(value) || value === ''));
+};
+
+let _client_options = function(options, endpoint, credentials) {
+    let client_options = { apiVersion: '2018-11-01' };
+    if (options.region) {
+        client_options.region = options.region;
+    }
+    if (endpoint) {
+        client_options.endpoint = endpoint;
+    }
+    if (credentials) {
+        client_options.credentials = credentials;
+    }
+    return client_options;
+};
+
+// Build the timestream clients from the plugin options, so each start picks
+// up the current configuration.
+//
+// options:
+//  region: the AWS region, or the SDK's default
+//  write_endpoint, query_endpoint: custom endpoint URLs for ingest and for
+//      queries, which timestream keeps apart, each turning off endpoint
+//      discovery for its client
+//  write_credentials: the credentials for writing, see _credentials
+//  read_credentials: the credentials for querying, defaulting to the write
+//      credentials
+//
+// Returns { write, query }, an aws.TimestreamWrite and an aws.TimestreamQuery.
+module.exports = function(options) {
+    const write_credentials = _credentials(options.write_credentials, 'write');
+    const read_credentials = _has_credentials(options.read_credentials) ?
+        _credentials(options.read_credentials, 'read') : write_credentials;
+
+    return {
+        write: new aws.TimestreamWrite(_client_options(options, options.write_endpoint, write_credentials)),
+        query: new aws.TimestreamQuery(_client_options(options, options.query_endpoint, read_credentials))
+    };
+};
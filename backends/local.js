@@ -0,0 +1,434 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const debug = require('debug')('signalk-to-timestream:backends:local');
+const trace = require('debug')('signalk-to-timestream:backends:local:trace');
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+
+const meta = require('../meta');
+const queries = require('../queries');
+
+// A stand-in for timestream that keeps everything in append-only files on
+// local disk, so the plugin can run without AWS, for example offline on the
+// boat.  See backends/timestream.js for what a backend has to do.
+//
+// Each record written is a line of json in a file per (UTC) day, like:
+//
+//  {"time":1602953990892,"dimensions":{"context":"vessels.urn:mrn:imo:mmsi:368107960"},
+//   "measure_name":"navigation.speedOverGround","type":"DOUBLE","value":"2.1"}
+//
+// and the columns the table would have in timestream are kept in schema.json,
+// so results have the same columns timestream would return.
+//
+// Queries are answered by reading the files for the days in the time range,
+// which is fine for a boat's worth of data, but it's no database.
+//
+// options:
+//  directory: where to keep the files
+module.exports = function(options) {
+    const _schema_file = path.join(options.directory, 'schema.json');
+    const _time_units = {
+        MILLISECONDS: 1,
+        SECONDS: 1000,
+        MICROSECONDS: 1 / 1000,
+        NANOSECONDS: 1 / 1000000
+    };
+
+    fs.mkdirSync(options.directory, { recursive: true });
+
+    // dimensions: names of the dimension columns
+    // single_types: the types of single measure values, eg DOUBLE
+    // multi: sub-measure name -> type
+    let _schema = { dimensions: [], single_types: [], multi: {} };
+    if (fs.existsSync(_schema_file)) {
+        _schema = JSON.parse(fs.readFileSync(_schema_file));
+    }
+
+    let _day_file = function(time) {
+        return path.join(options.directory, `${new Date(time).toISOString().slice(0, 10)}.ndjson`);
+    };
+
+    // timestream's format, eg "2020-10-17 16:59:50.892000000"
+    let _format_time = function(time) {
+        const iso = new Date(time).toISOString();
+        return `${iso.slice(0, 10)} ${iso.slice(11, 23)}000000`;
+    };
+
+    // add anything new in the stored records to the schema
+    let _update_schema = function(stored) {
+        let changed = false;
+        let add = function(list, value) {
+            if (!list.includes(value)) {
+                list.push(value);
+                changed = true;
+            }
+        };
+
+        stored.forEach(function(record) {
+            Object.keys(record.dimensions).forEach(name => add(_schema.dimensions, name));
+            if (record.type === 'MULTI') {
+                record.values.forEach(function(v) {
+                    if (!_schema.multi[v.name]) {
+                        _schema.multi[v.name] = v.type;
+                        changed = true;
+                    }
+                });
+            } else {
+                add(_schema.single_types, record.type);
+            }
+        });
+
+        if (changed) {
+            fs.writeFileSync(_schema_file, JSON.stringify(_schema));
+        }
+    };
+
+    let _to_stored = function(common, record) {
+        const merged = Object.assign({}, common, record);
+        const dimensions = (common.Dimensions || []).concat(record.Dimensions || []);
+        const unit = _time_units[merged.TimeUnit || 'MILLISECONDS'];
+
+        let stored = {
+            time: Math.floor(parseInt(merged.Time) * unit),
+            dimensions: _.fromPairs(dimensions.map(d => [d.Name, d.Value])),
+            measure_name: merged.MeasureName,
+            type: merged.MeasureValueType
+        };
+        if (stored.type === 'MULTI') {
+            stored.values = merged.MeasureValues.map(v => ({ name: v.Name, type: v.Type, value: v.Value }));
+        } else {
+            stored.value = merged.MeasureValue;
+        }
+        return stored;
+    };
+
+    let _write_records = function(params, callback) {
+        try {
+            const common = params.CommonAttributes || {};
+            const stored = params.Records.map(record => _to_stored(common, record));
+
+            _update_schema(stored);
+
+            const by_file = _.groupBy(stored, record => _day_file(record.time));
+            Object.entries(by_file).forEach(function(entry) {
+                const lines = entry[1].map(record => JSON.stringify(record)).join('\n');
+                fs.appendFileSync(entry[0], `${lines}\n`);
+            });
+            trace(`stored ${stored.length} records`);
+        } catch (err) {
+            debug(err);
+            setImmediate(() => callback(err));
+            return;
+        }
+        setImmediate(() => callback(null, { RecordsIngested: { Total: params.Records.length } }));
+    };
+
+    // the names of the day files that may have records with start <= time <
+    // end, in order
+    let _day_files = function(start, end) {
+        const start_day = isFinite(start) ? path.basename(_day_file(start)) : '';
+        const end_day = isFinite(end) ? path.basename(_day_file(end)) : '\uffff';
+
+        return fs.readdirSync(options.directory)
+            .filter(name => name.endsWith('.ndjson') && name >= start_day && name <= end_day)
+            .sort();
+    };
+
+    // the records in the day file with start <= time < end, in the order
+    // they were written
+    let _read_day = function(name, start, end) {
+        return fs.readFileSync(path.join(options.directory, name), 'utf8')
+            .split('\n')
+            .filter(line => line.length > 0)
+            .map(line => JSON.parse(line))
+            .filter(record => record.time >= start && record.time < end);
+    };
+
+    // every stored record with start_time <= time < end_time, in time order
+    let _read = function(start_time, end_time) {
+        const start = start_time ? start_time.getTime() : -Infinity;
+        const end = end_time ? end_time.getTime() : Infinity;
+
+        const records = _.flatten(_day_files(start, end).map(name => _read_day(name, start, end)));
+        return _.sortBy(records, record => record.time);
+    };
+
+    // the time of the first stored record at or after time, and before
+    // end_time, reading only as far as the first day that has one
+    let _first_time_after = function(time, end_time) {
+        const start = time.getTime();
+        const end = end_time.getTime();
+        const names = _day_files(start, end);
+
+        for (let i = 0; i < names.length; ++i) {
+            const first = _.minBy(_read_day(names[i], start, end), record => record.time);
+            if (first) {
+                return first.time;
+            }
+        }
+        return undefined;
+    };
+
+    // a stored record as a map of column name -> string value, the way
+    // SELECT * would see it
+    let _to_row = function(record) {
+        let row = Object.assign({}, record.dimensions, {
+            measure_name: record.measure_name,
+            time: record.time
+        });
+        if (record.type === 'MULTI') {
+            record.values.forEach(v => { row[v.name] = v.value; });
+        } else {
+            row[`measure_value::${record.type.toLowerCase()}`] = record.value;
+        }
+        return row;
+    };
+
+    // the columns of SELECT *, as { name, type, attribute_type }, the same as
+    // queries.parse_describe gives
+    let _table_columns = function() {
+        const dimensions = _schema.dimensions.map(name => ({ name: name, type: 'VARCHAR', attribute_type: 'DIMENSION' }));
+        const single = _schema.single_types.map(type => ({ name: `measure_value::${type.toLowerCase()}`, type: type, attribute_type: 'MEASURE_VALUE' }));
+        const multi = Object.entries(_schema.multi).map(e => ({ name: e[0], type: e[1], attribute_type: 'MULTI' }));
+
+        return dimensions
+            .concat([{ name: 'measure_name', type: 'VARCHAR', attribute_type: 'MEASURE_NAME' }])
+            .concat([{ name: 'time', type: 'TIMESTAMP', attribute_type: 'TIMESTAMP' }])
+            .concat(single)
+            .concat(multi);
+    };
+
+    // convert rows into a result shaped like timestream's, with the columns
+    // in the order given
+    let _to_result = function(columns, rows) {
+        return {
+            ColumnInfo: columns.map(col => ({ Name: col.name, Type: { ScalarType: col.type.toUpperCase() } })),
+            Rows: rows.map(function(row) {
+                return {
+                    Data: columns.map(function(col) {
+                        const value = row[col.name];
+                        if (_.isUndefined(value) || _.isNull(value)) {
+                            return { NullValue: true };
+                        }
+                        return { ScalarValue: col.name === 'time' ? _format_time(value) : `${value}` };
+                    })
+                };
+            })
+        };
+    };
+
+    let _matches_paths = function(paths) {
+        const regex = queries.path_regex(paths);
+        if (_.isUndefined(regex)) {
+            return () => true;
+        }
+        const re = new RegExp(regex);
+        return row => re.test(row.measure_name);
+    };
+
+    let _has_dimensions = function(dimensions) {
+        const entries = Object.entries(dimensions || {});
+        return row => entries.every(entry => row[entry[0]] === `${entry[1]}`);
+    };
+
+    let _value_columns = function(columns) {
+        return columns.filter(col => col.attribute_type === 'MEASURE_VALUE' || col.attribute_type === 'MULTI');
+    };
+
+    // the answers to each of the queries in queries.js, taking the same
+    // arguments after the table
+    const _answers = {
+        time_range: function(start_time, end_time, dimensions, paths, contexts) {
+            const rows = _read(start_time, end_time)
+                .map(_to_row)
+                .filter(row => !contexts || contexts.includes(row.context))
+                .filter(_has_dimensions(dimensions))
+                .filter(_matches_paths(paths));
+            return _to_result(_table_columns(), rows);
+        },
+
+        first_time_after: function(time, end_time) {
+            return _to_result([{ name: 'time', type: 'TIMESTAMP' }], [{ time: _first_time_after(time, end_time) }]);
+        },
+
+        describe: function() {
+            const columns = [
+                { name: 'Column', type: 'VARCHAR' },
+                { name: 'Type', type: 'VARCHAR' },
+                { name: 'Timestream attribute type', type: 'VARCHAR' }
+            ];
+            const rows = _table_columns().map(function(col) {
+                return {
+                    'Column': col.name,
+                    'Type': col.type.toLowerCase(),
+                    'Timestream attribute type': col.attribute_type
+                };
+            });
+            return _to_result(columns, rows);
+        },
+
+        latest_values: function(columns, start_time, end_time, paths) {
+            // end_time is inclusive here
+            const end = new Date(end_time.getTime() + 1);
+            const rows = _read(start_time, end)
+                .map(_to_row)
+                .filter(row => _.isUndefined(row.statistic))
+                .filter(_matches_paths(paths));
+
+            const dimensions = columns
+                .filter(col => col.attribute_type === 'DIMENSION' && queries.VALUE_DIMENSIONS.includes(col.name))
+                .map(col => col.name);
+            const groups = _.groupBy(rows, row => JSON.stringify(dimensions.concat(['measure_name']).map(name => row[name])));
+            const latest = Object.values(groups).map(group => _.maxBy(group, row => row.time));
+
+            return _to_result(_table_columns(), latest);
+        },
+
+        binned_values: function(columns, contexts, start_time, end_time, path, aggregate, resolution, dimensions) {
+            const bin = resolution * 1000;
+            const use_statistic = queries.STATISTIC_FOR_AGGREGATE[aggregate];
+            const numeric = ['double', 'bigint'];
+            const value_columns = _value_columns(columns)
+                .filter(col => ['first', 'last', 'count'].includes(aggregate) || numeric.includes(col.type.toLowerCase()));
+
+            const rows = _read(start_time, end_time)
+                .map(_to_row)
+                .filter(row => contexts.includes(row.context))
+                .filter(row => _.isUndefined(row.statistic) || row.statistic === use_statistic)
+                .filter(_matches_paths([path]))
+                .filter(_has_dimensions(dimensions));
+
+            const groups = _.groupBy(rows, row => JSON.stringify([row.context, row.measure_name, Math.floor(row.time / bin)]));
+            const binned = Object.values(groups).map(function(group) {
+                let result = {
+                    context: group[0].context,
+                    measure_name: group[0].measure_name,
+                    time: Math.floor(group[0].time / bin) * bin
+                };
+                value_columns.forEach(function(col) {
+                    const all_values = group.filter(row => !_.isUndefined(row[col.name]));
+                    // the statistic's rows where there are any, except for min
+                    // and max, which are as good from both, and counts of
+                    // values that aren't numbers
+                    const of_statistic = all_values.filter(row => !_.isUndefined(row.statistic));
+                    const use_both = ['min', 'max'].includes(aggregate);
+                    const counts_statistic = aggregate !== 'count' || numeric.includes(col.type.toLowerCase());
+                    const from_statistic = !use_both && counts_statistic && of_statistic.length > 0;
+                    const values = use_both ? all_values :
+                        all_values.filter(row => from_statistic ? !_.isUndefined(row.statistic) : _.isUndefined(row.statistic));
+                    if (values.length == 0) {
+                        return;
+                    }
+                    const numbers = values.map(row => parseFloat(row[col.name]));
+                    switch (aggregate) {
+                        case 'average': result[col.name] = _.mean(numbers); break;
+                        case 'min': result[col.name] = _.min(numbers); break;
+                        case 'max': result[col.name] = _.max(numbers); break;
+                        case 'first': result[col.name] = _.minBy(values, row => row.time)[col.name]; break;
+                        case 'last': result[col.name] = _.maxBy(values, row => row.time)[col.name]; break;
+                        case 'count': result[col.name] = from_statistic ? _.sum(numbers) : values.length; break;
+                    }
+                });
+                return result;
+            });
+
+            const result_columns = [
+                { name: 'context', type: 'VARCHAR' },
+                { name: 'measure_name', type: 'VARCHAR' },
+                { name: 'time', type: 'TIMESTAMP' }
+            ].concat(value_columns.map(function(col) {
+                if (aggregate === 'average') {
+                    return { name: col.name, type: 'DOUBLE' };
+                } else if (aggregate === 'count') {
+                    return { name: col.name, type: 'BIGINT' };
+                }
+                return col;
+            }));
+
+            return _to_result(result_columns, _.sortBy(binned, row => row.time));
+        },
+
+        latest_meta: function(columns, contexts, start_time, end_time, paths) {
+            // end_time is inclusive here
+            const end = new Date(end_time.getTime() + 1);
+            const re = new RegExp(queries.meta_regex(paths));
+            const rows = _read(start_time, end)
+                .map(_to_row)
+                .filter(row => contexts.includes(row.context))
+                .filter(row => re.test(row.measure_name));
+
+            const groups = _.groupBy(rows, row => JSON.stringify([row.context, row.measure_name]));
+            const latest = Object.values(groups).map(group => _.maxBy(group, row => row.time));
+            const meta_columns = _value_columns(columns).filter(col => meta.FIELDS.includes(col.name));
+
+            return _to_result([
+                { name: 'context', type: 'VARCHAR' },
+                { name: 'measure_name', type: 'VARCHAR' },
+                { name: 'time', type: 'TIMESTAMP' }
+            ].concat(meta_columns), latest);
+        },
+
+        distinct_contexts: function(start_time, end_time) {
+            const contexts = _.uniq(_read(start_time, end_time).map(record => record.dimensions.context));
+            return _to_result([{ name: 'context', type: 'VARCHAR' }], contexts.map(context => ({ context: context })));
+        },
+
+        distinct_measure_names: function(contexts, start_time, end_time) {
+            const names = _.uniq(_read(start_time, end_time)
+                .filter(record => contexts.includes(record.dimensions.context))
+                .map(record => record.measure_name));
+            return _to_result([{ name: 'measure_name', type: 'VARCHAR' }], names.map(name => ({ measure_name: name })));
+        }
+    };
+
+    // the whole result is handed over as a single page
+    let _query = function(query, on_page) {
+        let cancelled = false;
+
+        const done = new Promise((resolve, reject) => {
+            setImmediate(function() {
+                if (cancelled) {
+                    reject(new Error('query cancelled'));
+                    return;
+                }
+                try {
+                    trace(`query ${query.name}`);
+                    const result = _answers[query.name].apply(null, query.args);
+                    if (result.Rows.length > 0) {
+                        on_page(result);
+                    }
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            });
+        });
+
+        return {
+            done: done,
+            cancel: function() { cancelled = true; }
+        };
+    };
+
+    return {
+        write_records: _write_records,
+        query: _query,
+        ready: () => Promise.resolve(),
+        // keeps whatever it's given
+        earliest_time: () => Promise.resolve(undefined)
+    };
+};
@@ -0,0 +1,137 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const debug = require('debug')('signalk-to-timestream:backends:timestream');
+const trace = require('debug')('signalk-to-timestream:backends:timestream:trace');
+
+const provision = require('../provision');
+const queries = require('../queries');
+const query_timestream = require('../query_timestream');
+
+// A backend stores what the plugin writes and answers its queries.  It has:
+//
+//  write_records(params, callback(err, data)): params are those of
+//      timestream's WriteRecords, and err can be a RejectedRecordsException
+//  query(query, on_page(result)): query is from queries.query(), and each
+//      page of the result is shaped like a page of timestream's Query result,
+//      returns { done, cancel } like query_timestream
+//  ready(): returns a promise that resolves once the backend can be written
+//      to, or rejects with an error to show the user
+//  earliest_time(now): returns a promise of the earliest time (in ms) of a
+//      record the backend will take now, or undefined if there's no limit
+//
+// This is the real thing, backed by Amazon Timestream.
+//
+// options:
+//  database: the name of the database
+//  table: the name of the table
+//  write_client: an aws.TimestreamWrite
+//  query_client: an aws.TimestreamQuery
+//  provision: if set, { memory_retention, magnetic_retention } to create the
+//      database and table with if they don't exist (see provision.js)
+module.exports = function(options) {
+    const _table = `${queries.quote_identifier(options.database)}.${queries.quote_identifier(options.table)}`;
+    const _hour = 60 * 60 * 1000;
+    const _day = 24 * _hour;
+    let _provisioned;
+    let _retention;
+
+    // provision once, but try again on the next write if it failed, since
+    // we may just not have been able to reach timestream
+    let _ready = function() {
+        if (!options.provision) {
+            return Promise.resolve();
+        }
+        if (!_provisioned) {
+            _provisioned = provision(options.write_client, {
+                database: options.database,
+                table: options.table,
+                memory_retention: options.provision.memory_retention,
+                magnetic_retention: options.provision.magnetic_retention
+            });
+            _provisioned.catch(() => { _provisioned = undefined; });
+        }
+        return _provisioned;
+    };
+
+    // how long the table keeps data in each store, and whether records older
+    // than the memory store's retention can be written to the magnetic
+    // store, or undefined if we can't tell.  Provisioning sets them, otherwise
+    // we ask the table, and keep asking if we couldn't reach timestream.
+    let _table_retention = function() {
+        if (options.provision) {
+            return _ready().then(table => ({
+                memory: table.memory_retention * _hour,
+                magnetic: table.magnetic_retention * _day,
+                magnetic_writes: true
+            }), () => undefined);
+        }
+
+        if (!_retention) {
+            _retention = new Promise(resolve => {
+                const params = { DatabaseName: options.database, TableName: options.table };
+                options.write_client.describeTable(params, function(err, data) {
+                    if (err) {
+                        debug(`could not describe table ${options.database}.${options.table}: ${err}`);
+                        if (err.retryable) {
+                            _retention = undefined;
+                        }
+                        resolve(undefined);
+                        return;
+                    }
+                    const retention = data.Table.RetentionProperties || {};
+                    const magnetic_writes = data.Table.MagneticStoreWriteProperties || {};
+                    resolve({
+                        memory: retention.MemoryStoreRetentionPeriodInHours * _hour,
+                        magnetic: retention.MagneticStoreRetentionPeriodInDays * _day,
+                        magnetic_writes: !!magnetic_writes.EnableMagneticStoreWrites
+                    });
+                });
+            });
+        }
+        return _retention;
+    };
+
+    // late data, from the spool or a backfill, goes to the magnetic store if
+    // the table allows it, otherwise timestream rejects anything older than
+    // the memory store's retention
+    let _earliest_time = function(now) {
+        return _table_retention().then(function(retention) {
+            if (!retention) {
+                return undefined;
+            }
+            return now - (retention.magnetic_writes ? retention.magnetic : retention.memory);
+        });
+    };
+
+    let _write_records = function(params, callback) {
+        _ready().then(
+            () => options.write_client.writeRecords(params, callback),
+            err => callback(err));
+    };
+
+    let _query = function(query, on_page) {
+        const sql = queries.to_sql(_table, query);
+        trace(`query ${sql}`);
+        return query_timestream(options.query_client, sql, on_page);
+    };
+
+    return {
+        write_records: _write_records,
+        query: _query,
+        ready: _ready,
+        earliest_time: _earliest_time
+    };
+};
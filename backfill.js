@@ -0,0 +1,336 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const debug = require('debug')('signalk-to-timestream:backfill');
+const trace = require('debug')('signalk-to-timestream:backfill:trace');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const _ = require('lodash');
+
+// parse a line of a data log into a delta, or undefined if it isn't one.
+// Lines are either a delta on its own, or the server's raw data log format of
+// time;provider;data, where data is a delta for signalk providers (and
+// something we can't use, like NMEA, for others).
+let _parse_line = function(line) {
+    line = line.trim();
+    if (line.length == 0) {
+        return undefined;
+    }
+
+    let json = line;
+    if (!line.startsWith('{')) {
+        const parts = line.split(';');
+        if (parts.length < 3) {
+            return undefined;
+        }
+        json = parts.slice(2).join(';');
+        if (!json.startsWith('{')) {
+            return undefined;
+        }
+    }
+
+    try {
+        const delta = JSON.parse(json);
+        return _.isArray(delta.updates) ? delta : undefined;
+    } catch (err) {
+        return undefined;
+    }
+};
+
+// the time of the delta, from its first timestamped update
+let _delta_time = function(delta) {
+    const update = delta.updates.find(u => u.timestamp && !isNaN(Date.parse(u.timestamp)));
+    return update ? Date.parse(update.timestamp) : undefined;
+};
+
+// the files to read for each path, a directory being all the files in it,
+// in name order, which for data logs is time order
+let _expand_paths = function(paths) {
+    return _.flatten(paths.map(function(file) {
+        if (fs.statSync(file).isDirectory()) {
+            return fs.readdirSync(file)
+                .sort()
+                .map(name => path.join(file, name))
+                .filter(name => fs.statSync(name).isFile());
+        }
+        return [file];
+    }));
+};
+
+// Reads signalk data logs (deltas, a line each, optionally gzipped) and writes
+// them as if they had arrived live, with the same filtering, write rules and
+// statistics, but in the time of the data rather than the wall clock.
+//
+// Progress is kept in state_file as it goes, so a backfill that was
+// interrupted picks up where it left off, from the last point where
+// everything before had been written.  Anything written twice is written with
+// the same time and value, so timestream takes it as the same record.
+//
+// options:
+//  state_file: where to keep the progress
+//  create_batch: function() returning a batch, see _create_batch in index.js
+//  publish: function(points) returning a promise that resolves once they're
+//      written, and rejects if any of them couldn't be, which stops the
+//      backfill where it got to
+//  rate: the most values to write per second
+//
+// Returns { start(paths), resume(), stop(), cancel(), status() }
+module.exports = function(options) {
+    // files, file_index, line (of the file, written up to), done, cancelled
+    let _state;
+    // where we are in the current run
+    let _running = false;
+    let _cancelled = false;
+    let _progress;
+
+    let _save = function() {
+        try {
+            fs.writeFileSync(options.state_file, JSON.stringify(_state));
+        } catch (err) {
+            debug(`could not save ${options.state_file}: ${err}`);
+        }
+    };
+
+    let _delay = function(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    };
+
+    // publish the points, then wait long enough to keep to the rate
+    let _publish = function(points) {
+        const count = Object.keys(points).length;
+        if (count == 0) {
+            return Promise.resolve();
+        }
+
+        return options.publish(points).then(function() {
+            _progress.values_written += count;
+            const earliest = _progress.rate_start + _progress.values_written / options.rate * 1000;
+            return _delay(Math.max(0, earliest - Date.now()));
+        });
+    };
+
+    // read the lines of the file, calling on_line(line, line_number), which
+    // returns a promise, for each in turn
+    let _read_lines = function(file, on_line) {
+        return new Promise((resolve, reject) => {
+            const stream = fs.createReadStream(file);
+            const input = file.endsWith('.gz') ? stream.pipe(zlib.createGunzip()) : stream;
+
+            let partial = '';
+            let line_number = 0;
+
+            let _handle_lines = function(lines) {
+                return lines.reduce(function(previous, line) {
+                    return previous.then(function() {
+                        line_number += 1;
+                        if (_cancelled) {
+                            return;
+                        }
+                        return on_line(line, line_number);
+                    });
+                }, Promise.resolve());
+            };
+
+            let _fail = function(err) {
+                stream.destroy();
+                reject(err);
+            };
+
+            stream.on('data', chunk => { _progress.bytes_read += chunk.length; });
+            stream.on('error', _fail);
+            input.on('error', _fail);
+            input.setEncoding('utf8');
+            input.on('data', function(chunk) {
+                input.pause();
+                const lines = (partial + chunk).split('\n');
+                partial = lines.pop();
+                _handle_lines(lines).then(function() {
+                    if (_cancelled) {
+                        stream.destroy();
+                        resolve();
+                    } else {
+                        input.resume();
+                    }
+                }, _fail);
+            });
+            input.on('end', function() {
+                _handle_lines([partial]).then(resolve, reject);
+            });
+        });
+    };
+
+    let _backfill_file = function(file) {
+        const batch = options.create_batch();
+        const skip_to = _state.line;
+        let last_time;
+        debug(`backfilling ${file}${skip_to > 0 ? ` from line ${skip_to + 1}` : ''}`);
+        _progress.file = file;
+
+        return _read_lines(file, function(line, line_number) {
+            if (line_number <= skip_to) {
+                return;
+            }
+            const delta = _parse_line(line);
+            const time = delta ? _delta_time(delta) : undefined;
+            if (_.isUndefined(time)) {
+                return;
+            }
+            // data logs of the server's own data may leave out the context
+            delta.context = delta.context || 'vessels.self';
+            _progress.deltas += 1;
+            _progress.data_time = new Date(time).toISOString();
+            last_time = time;
+
+            // write whatever was due before this delta
+            const due = batch.take_due(time);
+            return _publish(due).then(function() {
+                // everything before here has been written
+                if (!_.isEmpty(due) && batch.size() == 0) {
+                    _state.line = line_number - 1;
+                    _save();
+                }
+                batch.add(delta);
+            });
+        }).then(function() {
+            if (_cancelled) {
+                return;
+            }
+            return _publish(batch.take_all(last_time));
+        });
+    };
+
+    let _run = function() {
+        _running = true;
+        _cancelled = false;
+        _progress = {
+            file: undefined,
+            bytes_read: 0,
+            bytes_total: _.sum(_state.files.slice(_state.file_index).map(function(file) {
+                return fs.existsSync(file) ? fs.statSync(file).size : 0;
+            })),
+            deltas: 0,
+            values_written: 0,
+            data_time: undefined,
+            rate_start: Date.now(),
+            error: undefined
+        };
+
+        let _next_file = function() {
+            if (_cancelled) {
+                debug('backfill cancelled');
+                return Promise.resolve();
+            }
+            if (_state.file_index >= _state.files.length) {
+                debug(`backfill done, ${_progress.values_written} values written`);
+                _state.done = true;
+                _save();
+                return Promise.resolve();
+            }
+
+            return _backfill_file(_state.files[_state.file_index]).then(function() {
+                if (_cancelled) {
+                    return;
+                }
+                _state.file_index += 1;
+                _state.line = 0;
+                _save();
+                return _next_file();
+            });
+        };
+
+        return _next_file()
+            .catch(err => {
+                debug(err);
+                _progress.error = err.message;
+            })
+            .then(() => { _running = false; });
+    };
+
+    let _start = function(paths) {
+        if (_running) {
+            throw new Error('a backfill is already running');
+        }
+        const files = _expand_paths(paths);
+        if (files.length == 0) {
+            throw new Error('no files to backfill');
+        }
+
+        _state = { files: files, file_index: 0, line: 0, done: false };
+        _save();
+        _run();
+    };
+
+    // carry on with a backfill that didn't finish
+    let _resume = function() {
+        if (_running || !fs.existsSync(options.state_file)) {
+            return;
+        }
+        try {
+            _state = JSON.parse(fs.readFileSync(options.state_file));
+        } catch (err) {
+            debug(`could not read ${options.state_file}: ${err}`);
+            return;
+        }
+        if (_state.done || _state.cancelled) {
+            return;
+        }
+        debug(`resuming backfill at file ${_state.file_index + 1} of ${_state.files.length}`);
+        _run();
+    };
+
+    // stop for now, to carry on with resume
+    let _stop = function() {
+        _cancelled = true;
+    };
+
+    // stop for good
+    let _cancel = function() {
+        if (_state && !_state.done) {
+            _state.cancelled = true;
+            _save();
+        }
+        _cancelled = true;
+    };
+
+    let _status = function() {
+        if (!_state) {
+            return { running: false };
+        }
+        trace(`backfill status ${JSON.stringify(_progress)}`);
+        return {
+            running: _running,
+            done: _state.done,
+            cancelled: !!_state.cancelled,
+            files: _state.files.length,
+            fileIndex: _state.file_index,
+            file: _progress ? _progress.file || null : null,
+            bytesRead: _progress ? _progress.bytes_read : 0,
+            bytesTotal: _progress ? _progress.bytes_total : 0,
+            deltas: _progress ? _progress.deltas : 0,
+            valuesWritten: _progress ? _progress.values_written : 0,
+            dataTime: _progress ? _progress.data_time || null : null,
+            error: _progress ? _progress.error || null : null
+        };
+    };
+
+    return {
+        start: _start,
+        resume: _resume,
+        stop: _stop,
+        cancel: _cancel,
+        status: _status
+    };
+};
@@ -0,0 +1,34 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// vessels.self, or no context at all, is the vessel with self_id
+let _normalize = function(context, self_id) {
+    return (context || 'vessels.self').replace(/^vessels\.self$/, `vessels.${self_id}`);
+};
+
+// the contexts the context may be stored as: older versions of the plugin
+// stored self with the bare self id as the context, so look for both
+let _stored = function(context, self_id) {
+    context = _normalize(context, self_id);
+    if (context.startsWith('vessels.')) {
+        return [context, context.slice('vessels.'.length)];
+    }
+    return [context];
+};
+
+module.exports = {
+    normalize: _normalize,
+    stored: _stored
+};
@@ -0,0 +1,89 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const debug = require('debug')('signalk-to-timestream:dimensions');
+const _ = require('lodash');
+
+// names we use ourselves, or that timestream keeps for itself
+const RESERVED = ['context', 'source', 'statistic', 'trip', 'measure_name', 'time'];
+
+// timestream's limit on the size of a dimension value
+const _max_value_length = 2048;
+
+let _is_reserved = function(name) {
+    return RESERVED.includes(name) || name.startsWith('measure_value::') || name.startsWith('ts_');
+};
+
+// The user's own dimensions, added to every record, so the data can be sliced
+// by boat name, owner, charter and so on.  Each is either a static value, or
+// derived from the current value of a signalk path of the context being
+// written, eg navigation.state or name.
+//
+// config: [{ name, value, path }]
+// get_value: function(context, path) returning the current value of the path
+//
+// Returns { names, for_context(context, static_only) }, where for_context
+// gives the dimensions for the context's records, as timestream Dimensions.
+// Derived dimensions without a value are left off, as are all of them with
+// static_only, for data that isn't from now.
+module.exports = function(config, get_value) {
+    const _dimensions = (config || [])
+        .filter(function(dimension) {
+            if (!dimension.name) {
+                return false;
+            }
+            if (_is_reserved(dimension.name)) {
+                debug(`ignoring dimension ${dimension.name}, the name is reserved`);
+                return false;
+            }
+            if (_.isUndefined(dimension.value) && !dimension.path) {
+                debug(`ignoring dimension ${dimension.name}, it has neither a value nor a path`);
+                return false;
+            }
+            return true;
+        });
+    const _names = _.uniq(_dimensions.map(dimension => dimension.name));
+
+    // signalk values of a path can be the value itself, or a node with the
+    // value and its metadata
+    let _derived_value = function(context, path) {
+        const value = get_value(context, path);
+        if (_.isObject(value) && !_.isUndefined(value.value)) {
+            return value.value;
+        }
+        return value;
+    };
+
+    let _for_context = function(context, static_only) {
+        return _dimensions
+            .filter(dimension => !static_only || !dimension.path)
+            .map(function(dimension) {
+                const value = dimension.path ? _derived_value(context, dimension.path) : dimension.value;
+                return { Name: dimension.name, Value: value };
+            })
+            .filter(d => !_.isUndefined(d.Value) && !_.isNull(d.Value) && !_.isObject(d.Value))
+            .map(d => ({ Name: d.Name, Value: `${d.Value}`.slice(0, _max_value_length) }))
+            .filter(d => d.Value.length > 0)
+            // if a name is used twice, the first with a value wins
+            .filter((d, i, all) => _.findIndex(all, other => other.Name === d.Name) == i);
+    };
+
+    return {
+        names: _names,
+        for_context: _for_context
+    };
+};
+
+module.exports.RESERVED = RESERVED;
@@ -0,0 +1,130 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const debug = require('debug')('signalk-to-timestream:export_api');
+const _ = require('lodash');
+
+const contexts = require('./contexts');
+const export_formats = require('./export_formats');
+const glob = require('./glob');
+const measure_names = require('./measure_names');
+const meta = require('./meta');
+const queries = require('./queries');
+
+// Routes to download history for a time range as a file, for use in other
+// tools: a GPX track, a CSV or signalk deltas.  The file is sent as the query
+// results come in, so a long time range doesn't have to fit in memory.
+//
+// options:
+//  self_id: function() returning app.selfId
+//  query_pages: function(query, on_deltas) running the query (from
+//      queries.query) and calling on_deltas with the deltas of each page,
+//      returns { done, cancel }
+//  query_result: function(query) returning a promise of the raw result
+module.exports = function(options) {
+    // the paths stored for the context that match the globs
+    let _matching_paths = function(context, from, to, globs) {
+        const query = queries.query('distinct_measure_names', contexts.stored(context, options.self_id()), from, to);
+        const regexes = globs.map(glob.to_regex);
+
+        return options.query_result(query).then(function(result) {
+            const paths = result.Rows
+                .map(row => row.Data[0].ScalarValue)
+                .filter(name => !meta.is_meta(name))
+                .map(name => measure_names.decode(name).path);
+            return _.sortBy(_.uniq(paths.filter(path => glob.matches_any(regexes, path))));
+        });
+    };
+
+    // the format, and the paths to query for it
+    let _prepare = function(format, params) {
+        if (format === 'gpx') {
+            const gpx = export_formats.gpx({
+                name: `${params.context} ${params.from.toISOString()}`,
+                extensions: params.extensions
+            });
+            return Promise.resolve({ format: gpx, paths: gpx.paths });
+        } else if (format === 'csv') {
+            return _matching_paths(params.context, params.from, params.to, params.globs).then(function(paths) {
+                return { format: export_formats.csv({ paths: paths }), paths: paths };
+            });
+        }
+        return Promise.resolve({ format: export_formats.deltas(), paths: params.globs });
+    };
+
+    let _export = function(req, res, format) {
+        const params = {
+            from: new Date(req.query.from),
+            to: req.query.to ? new Date(req.query.to) : new Date(),
+            context: contexts.normalize(req.query.context, options.self_id()),
+            globs: (req.query.paths || '*').split(',').filter(p => p.length > 0),
+            extensions: req.query.extensions !== 'false'
+        };
+        if (isNaN(params.from.getTime()) || isNaN(params.to.getTime()) || params.from >= params.to) {
+            res.status(400).json({ error: 'from and to must be times, with from before to' });
+            return;
+        }
+
+        let running;
+        let closed = false;
+        req.on('close', function() {
+            closed = true;
+            if (running) {
+                running.cancel();
+            }
+        });
+
+        Promise.resolve()
+            .then(() => _prepare(format, params))
+            .then(function(prepared) {
+                if (closed) {
+                    return;
+                }
+                const file = `${params.context}-${params.from.toISOString()}.${prepared.format.extension}`;
+                res.set('Content-Type', prepared.format.content_type);
+                res.set('Content-Disposition', `attachment; filename="${file.replace(/[^\w.-]/g, '_')}"`);
+                res.write(prepared.format.begin());
+
+                const stored_contexts = contexts.stored(params.context, options.self_id());
+                const query = queries.query('time_range', params.from, params.to, undefined, prepared.paths, stored_contexts);
+                running = options.query_pages(query, function(deltas) {
+                    res.write(prepared.format.page(deltas.filter(delta => delta.context === params.context)));
+                });
+                return running.done.then(() => res.end(prepared.format.end()));
+            })
+            .catch(err => {
+                debug(err);
+                if (closed) {
+                    return;
+                }
+                if (res.headersSent) {
+                    // too late to say what went wrong, so cut the file short
+                    res.end();
+                } else {
+                    res.status(500).json({ error: err.message });
+                }
+            });
+    };
+
+    let _register_routes = function(router) {
+        router.get('/export/gpx', (req, res) => _export(req, res, 'gpx'));
+        router.get('/export/csv', (req, res) => _export(req, res, 'csv'));
+        router.get('/export/deltas', (req, res) => _export(req, res, 'deltas'));
+    };
+
+    return {
+        register_routes: _register_routes
+    };
+};
@@ -0,0 +1,177 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const _ = require('lodash');
+
+// Formats for exporting history.  Each takes the deltas a page of a query at a
+// time, in time order, and turns them into text to send, so an export never
+// has to be held in memory.  They have:
+//
+//  content_type, extension: of the file
+//  begin(): the text before any data
+//  page(deltas): the text for the deltas
+//  end(): the text after all the data
+
+// each update in the deltas, in order, as { context, update }
+let _updates = function(deltas) {
+    return _.flatten(deltas.map(delta => delta.updates.map(update => ({ context: delta.context, update: update }))));
+};
+
+let _xml_escape = function(value) {
+    return `${value}`
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+};
+
+// a GPX track of navigation.position, with speed over ground and depth as
+// Garmin track point extensions, if extensions is set
+//
+// options:
+//  name: of the track
+//  extensions: whether to add speed and depth
+let _gpx = function(options) {
+    // speed and depth older than this, relative to a position, aren't used
+    const _max_age = 60 * 1000;
+
+    let _speed;
+    let _depth;
+
+    let _extensions = function(time) {
+        if (!options.extensions) {
+            return '';
+        }
+        let fields = '';
+        if (_depth && time - _depth.time <= _max_age) {
+            fields += `<gpxtpx:depth>${_depth.value}</gpxtpx:depth>`;
+        }
+        if (_speed && time - _speed.time <= _max_age) {
+            fields += `<gpxtpx:speed>${_speed.value}</gpxtpx:speed>`;
+        }
+        if (fields.length == 0) {
+            return '';
+        }
+        return `<extensions><gpxtpx:TrackPointExtension>${fields}</gpxtpx:TrackPointExtension></extensions>`;
+    };
+
+    let _page = function(deltas) {
+        return _updates(deltas).map(function(entry) {
+            const update = entry.update;
+            const time = Date.parse(update.timestamp);
+            let points = '';
+
+            // take speed and depth first, so they go with a position at the
+            // same time
+            _.sortBy(update.values, v => v.path === 'navigation.position').forEach(function(value) {
+                if (value.path === 'navigation.speedOverGround' && _.isFinite(value.value)) {
+                    _speed = { value: value.value, time: time };
+                } else if (value.path === 'environment.depth.belowTransducer' && _.isFinite(value.value)) {
+                    _depth = { value: value.value, time: time };
+                } else if (value.path === 'navigation.position' && value.value &&
+                        _.isFinite(value.value.latitude) && _.isFinite(value.value.longitude)) {
+                    points += `<trkpt lat="${value.value.latitude}" lon="${value.value.longitude}">` +
+                        `<time>${_xml_escape(update.timestamp)}</time>${_extensions(time)}</trkpt>\n`;
+                }
+            });
+            return points;
+        }).join('');
+    };
+
+    return {
+        content_type: 'application/gpx+xml',
+        extension: 'gpx',
+        paths: ['navigation.position', 'navigation.speedOverGround', 'environment.depth.belowTransducer'],
+        begin: function() {
+            return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+                '<gpx version="1.1" creator="signalk-to-timestream" xmlns="http://www.topografix.com/GPX/1/1" ' +
+                'xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2">\n' +
+                `<trk><name>${_xml_escape(options.name)}</name><trkseg>\n`;
+        },
+        page: _page,
+        end: function() {
+            return '</trkseg></trk></gpx>\n';
+        }
+    };
+};
+
+let _csv_escape = function(value) {
+    if (_.isUndefined(value) || _.isNull(value)) {
+        return '';
+    }
+    const text = _.isObject(value) ? JSON.stringify(value) : `${value}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// a CSV with a row per time and a column per path, where composite values,
+// like navigation.position, are JSON.  If a path has values from more than
+// one source at a time, the last one wins.
+//
+// options:
+//  paths: the columns
+let _csv = function(options) {
+    let _page = function(deltas) {
+        // the query holds rows for the same time together, so a time is only
+        // ever in one page
+        const rows = {};
+        let times = [];
+        _updates(deltas).forEach(function(entry) {
+            const update = entry.update;
+            if (!rows[update.timestamp]) {
+                rows[update.timestamp] = {};
+                times.push(update.timestamp);
+            }
+            update.values.forEach(function(value) {
+                rows[update.timestamp][value.path] = value.value;
+            });
+        });
+
+        return _.sortBy(times, time => Date.parse(time)).map(function(time) {
+            const cells = options.paths.map(path => _csv_escape(rows[time][path]));
+            return `${[time].concat(cells).join(',')}\n`;
+        }).join('');
+    };
+
+    return {
+        content_type: 'text/csv',
+        extension: 'csv',
+        begin: function() {
+            return `${['time'].concat(options.paths).map(_csv_escape).join(',')}\n`;
+        },
+        page: _page,
+        end: () => ''
+    };
+};
+
+// signalk deltas, one update to a line, for replaying in other tools
+let _deltas = function() {
+    return {
+        content_type: 'application/x-ndjson',
+        extension: 'ndjson',
+        begin: () => '',
+        page: function(deltas) {
+            return _updates(deltas).map(function(entry) {
+                return `${JSON.stringify({ context: entry.context, updates: [entry.update] })}\n`;
+            }).join('');
+        },
+        end: () => ''
+    };
+};
+
+module.exports = {
+    gpx: _gpx,
+    csv: _csv,
+    deltas: _deltas
+};
@@ -0,0 +1,41 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const trace = require('debug')('signalk-to-timestream:glob:trace');
+
+// glob is a pattern like "environment.*" and we need to convert it to a regex
+// matcher
+let _to_regex = function(glob) {
+    let regex = glob;
+    // first convert '.' to '\.'
+    regex = regex.replace(/\./gi, '\\.');
+    // next convert '*' to '.*'
+    regex = regex.replace(/\*/gi, '.*');
+    // finally always do a full match
+    regex = `^${regex}$`;
+    trace(`created regex=${regex} from glob=${glob}`);
+    // and create the regex
+    return new RegExp(regex);
+};
+
+// true if at least one of the regexes matches the value
+let _matches_any = function(regexes, value) {
+    return regexes.some(re => re.test(value));
+};
+
+module.exports = {
+    to_regex: _to_regex,
+    matches_any: _matches_any
+};
@@ -0,0 +1,335 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const debug = require('debug')('signalk-to-timestream:history_api');
+const trace = require('debug')('signalk-to-timestream:history_api:trace');
+const _ = require('lodash');
+
+const contexts = require('./contexts');
+const measure_names = require('./measure_names');
+const meta = require('./meta');
+const parse_timestream = require('./parse_timestream');
+const queries = require('./queries');
+
+// The signalk history api (v2): values of paths over a time range, binned to
+// a resolution and aggregated in timestream, plus listings of the contexts
+// and paths that are stored.  It's available as a history api provider on
+// servers that support it, and as routes of the plugin on any server.
+//
+// options:
+//  self_id: function() returning app.selfId
+//  query_result: function(query) returning a promise of the raw result, where
+//      query is from queries.query, which throws if the plugin isn't running
+//  describe_columns: function() returning a promise of the table's columns,
+//      as queries.parse_describe gives them
+module.exports = function(options) {
+    // aim for about this many rows if the resolution isn't given
+    const _default_rows = 500;
+
+    let _normalize_context = function(context) {
+        return contexts.normalize(context, options.self_id());
+    };
+
+    let _stored_contexts = function(context) {
+        return contexts.stored(context, options.self_id());
+    };
+
+    let _check_range = function(from, to) {
+        if (!(from instanceof Date) || isNaN(from.getTime())) {
+            throw new Error('invalid from time');
+        }
+        if (!(to instanceof Date) || isNaN(to.getTime())) {
+            throw new Error('invalid to time');
+        }
+        if (from >= to) {
+            throw new Error('from must be before to');
+        }
+    };
+
+    // returns a map of time (ms) -> value of the path, for a single path spec
+    let _query_path = function(columns, contexts, from, to, path_spec, resolution, dimensions) {
+        const query = queries.query('binned_values', columns, contexts, from, to,
+            path_spec.path, path_spec.aggregate, resolution, dimensions);
+        trace(`values query for ${path_spec.path} ${path_spec.aggregate}`);
+
+        return options.query_result(query).then(function(result) {
+            let values = {};
+            parse_timestream(result).forEach(function(delta) {
+                delta.updates.forEach(function(update) {
+                    const value = update.values.find(v => v.path === path_spec.path);
+                    if (value) {
+                        values[Date.parse(update.timestamp)] = value.value;
+                    }
+                });
+            });
+            return values;
+        });
+    };
+
+    // returns a map of path -> its latest meta, up to to, for the paths
+    // matching the globs.  Meta is written every meta.REFRESH_INTERVAL, so
+    // looking that far back from from finds the meta for the whole range.
+    let _query_meta = function(columns, contexts, from, to, paths) {
+        if (!columns.some(col => col.attribute_type === 'MULTI' && meta.FIELDS.includes(col.name))) {
+            return Promise.resolve({});
+        }
+
+        const start = new Date(from.getTime() - meta.REFRESH_INTERVAL);
+        const query = queries.query('latest_meta', columns, contexts, start, to, paths);
+        return options.query_result(query).then(function(result) {
+            // the latest of each path, whichever of the contexts it's from
+            const updates = _.flatten(parse_timestream(result).map(delta => delta.updates));
+            return _.fromPairs(_.flatten(_.sortBy(updates, u => u.timestamp)
+                .map(update => update.meta || [])
+                .map(entries => entries.map(entry => [entry.path, entry.value]))));
+        });
+    };
+
+    // params:
+    //  from, to: Dates
+    //  context: defaults to vessels.self
+    //  paths: globs of the paths, default all of them
+    let _get_meta = function(params) {
+        _check_range(params.from, params.to);
+
+        const context = _normalize_context(params.context);
+        return options.describe_columns()
+            .then(columns => _query_meta(columns, _stored_contexts(context), params.from, params.to, params.paths))
+            .then(function(path_meta) {
+                return {
+                    context: context,
+                    range: {
+                        from: params.from.toISOString(),
+                        to: params.to.toISOString()
+                    },
+                    meta: path_meta
+                };
+            });
+    };
+
+    // params:
+    //  from, to: Dates
+    //  context: defaults to vessels.self
+    //  resolution: seconds per bin
+    //  path_specs: [{ path, aggregate }], where aggregate is one of
+    //      queries.AGGREGATES, default average
+    //  dimensions: only include values with these custom dimensions, a map of
+    //      name -> value
+    let _get_values = function(params) {
+        _check_range(params.from, params.to);
+
+        const path_specs = params.path_specs.map(function(spec) {
+            const aggregate = spec.aggregate || 'average';
+            if (!queries.AGGREGATES[aggregate]) {
+                throw new Error(`unsupported aggregate ${aggregate} for ${spec.path}`);
+            }
+            return { path: spec.path, aggregate: aggregate };
+        });
+        if (path_specs.length == 0) {
+            throw new Error('no paths requested');
+        }
+
+        const context = _normalize_context(params.context);
+        const resolution = Math.max(1, Math.round(params.resolution ||
+            (params.to - params.from) / 1000 / _default_rows));
+
+        let path_meta;
+        return options.describe_columns()
+            .then(function(columns) {
+                const paths = path_specs.map(spec => spec.path);
+                return _query_meta(columns, _stored_contexts(context), params.from, params.to, paths)
+                    .then(function(result) {
+                        path_meta = result;
+                        return Promise.all(path_specs.map(function(spec) {
+                            return _query_path(columns, _stored_contexts(context), params.from, params.to, spec,
+                                resolution, params.dimensions);
+                        }));
+                    });
+            })
+            .then(function(values_by_path) {
+                // one row per bin, with a column for each path
+                const times = _.sortBy(_.uniq(_.flatten(values_by_path.map(values => Object.keys(values)))).map(Number));
+                const data = times.map(function(time) {
+                    const row = values_by_path.map(function(values) {
+                        return _.isUndefined(values[time]) ? null : values[time];
+                    });
+                    return [new Date(time).toISOString()].concat(row);
+                });
+
+                return {
+                    context: context,
+                    range: {
+                        from: params.from.toISOString(),
+                        to: params.to.toISOString()
+                    },
+                    // the meta, if we have it, so the values can be labelled
+                    // and converted
+                    values: path_specs.map(function(spec) {
+                        const value = { path: spec.path, method: spec.aggregate };
+                        if (path_meta[spec.path]) {
+                            value.meta = path_meta[spec.path];
+                        }
+                        return value;
+                    }),
+                    data: data
+                };
+            });
+    };
+
+    let _get_contexts = function(from, to) {
+        _check_range(from, to);
+
+        return options.query_result(queries.query('distinct_contexts', from, to))
+            .then(function(result) {
+                const stored = result.Rows.map(function(row) {
+                    const context = row.Data[0].ScalarValue;
+                    return context.includes('.') ? context : `vessels.${context}`;
+                });
+                return _.sortBy(_.uniq(stored));
+            });
+    };
+
+    let _get_paths = function(from, to, context) {
+        _check_range(from, to);
+
+        const query = queries.query('distinct_measure_names', _stored_contexts(context), from, to);
+        return options.query_result(query)
+            .then(function(result) {
+                const paths = result.Rows
+                    .map(row => row.Data[0].ScalarValue)
+                    .filter(name => !meta.is_meta(name))
+                    .map(name => measure_names.decode(name).path);
+                return _.sortBy(_.uniq(paths));
+            });
+    };
+
+    // the temporal types the server hands us print as ISO 8601
+    let _to_date = function(time) {
+        return _.isUndefined(time) ? undefined : new Date(time.toString());
+    };
+
+    // for app.registerHistoryApiProvider, which expects bad requests to be
+    // rejected promises rather than exceptions
+    const provider = {
+        getValues: function(query) {
+            return Promise.resolve().then(function() {
+                return _get_values({
+                    from: _to_date(query.from),
+                    to: _to_date(query.to),
+                    context: query.context,
+                    resolution: query.resolution,
+                    path_specs: query.pathSpecs.map(spec => ({ path: spec.path, aggregate: spec.aggregate }))
+                });
+            });
+        },
+        getContexts: function(query) {
+            return Promise.resolve().then(() => _get_contexts(_to_date(query.from), _to_date(query.to)));
+        },
+        getPaths: function(query) {
+            return Promise.resolve().then(() => _get_paths(_to_date(query.from), _to_date(query.to), query.context));
+        }
+    };
+
+    let _send = function(res, promise_fn) {
+        let promise;
+        try {
+            promise = promise_fn();
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+            return;
+        }
+
+        promise
+            .then(result => res.json(result))
+            .catch(err => {
+                debug(err);
+                res.status(500).json({ error: err.message });
+            });
+    };
+
+    let _range = function(req) {
+        return {
+            from: new Date(req.query.from),
+            to: req.query.to ? new Date(req.query.to) : new Date()
+        };
+    };
+
+    // paths is a comma separated list of path[:aggregate]
+    let _parse_paths = function(paths) {
+        return (paths || '').split(',').filter(p => p.length > 0).map(function(spec) {
+            const parts = spec.split(':');
+            return { path: parts[0], aggregate: parts[1] };
+        });
+    };
+
+    // dimensions is a comma separated list of name:value
+    let _parse_dimensions = function(dimensions) {
+        return _.fromPairs((dimensions || '').split(',').filter(d => d.length > 0).map(function(dimension) {
+            const idx = dimension.indexOf(':');
+            if (idx < 1) {
+                throw new Error(`invalid dimension ${dimension}, expected name:value`);
+            }
+            return [dimension.slice(0, idx), dimension.slice(idx + 1)];
+        }));
+    };
+
+    let _register_routes = function(router) {
+        router.get('/history/values', function(req, res) {
+            _send(res, function() {
+                const range = _range(req);
+                return _get_values({
+                    from: range.from,
+                    to: range.to,
+                    context: req.query.context,
+                    resolution: req.query.resolution ? parseFloat(req.query.resolution) : undefined,
+                    path_specs: _parse_paths(req.query.paths),
+                    dimensions: _parse_dimensions(req.query.dimensions)
+                });
+            });
+        });
+        router.get('/history/meta', function(req, res) {
+            _send(res, function() {
+                const range = _range(req);
+                return _get_meta({
+                    from: range.from,
+                    to: range.to,
+                    context: req.query.context,
+                    paths: (req.query.paths || '').split(',').filter(p => p.length > 0)
+                });
+            });
+        });
+        router.get('/history/contexts', function(req, res) {
+            _send(res, function() {
+                const range = _range(req);
+                return _get_contexts(range.from, range.to);
+            });
+        });
+        router.get('/history/paths', function(req, res) {
+            _send(res, function() {
+                const range = _range(req);
+                return _get_paths(range.from, range.to, req.query.context);
+            });
+        });
+    };
+
+    return {
+        get_values: _get_values,
+        get_meta: _get_meta,
+        get_contexts: _get_contexts,
+        get_paths: _get_paths,
+        provider: provider,
+        register_routes: _register_routes
+    };
+};
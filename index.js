@@ -15,40 +15,236 @@
 
 const debug = require('debug')('signalk-to-timestream');
 const trace = require('debug')('signalk-to-timestream:trace');
-const aws = require('aws-sdk');
-const timestream_query = new aws.TimestreamQuery({ apiVersion: '2018-11-01' });
-const timestream_write = new aws.TimestreamWrite({ apiVersion: '2018-11-01' });
 const _ = require('lodash');
+const path = require('path');
 
+const aggregate = require('./aggregate');
+const create_backfill = require('./backfill');
+const create_aws_clients = require('./aws_clients');
+const create_dimensions = require('./dimensions');
+const create_export_api = require('./export_api');
+const glob = require('./glob');
 const parse_timestream = require('./parse_timestream');
+const create_history_api = require('./history_api');
+const create_playback = require('./playback');
+const queries = require('./queries');
+const create_rules = require('./rules');
+const create_spool = require('./spool');
+const create_stats = require('./stats');
+const create_meta = require('./meta');
+const create_notifications = require('./notifications');
+const create_timestamp_check = require('./timestamps');
+const create_trips = require('./trips');
+const create_track = require('./track');
+const to_records = require('./records');
+const create_local_backend = require('./backends/local');
+const create_timestream_backend = require('./backends/timestream');
 
 module.exports = function(app) {
     let _database_name;
     let _table_name;
+    let _multi_measure;
+    let _dimensions = create_dimensions([]);
+    let _meta;
+    let _table_columns;
+    let _table_columns_time;
+    let _history_lookback;
     let _handle_delta;
     let _publish_interval;
+    let _spool;
+    let _backend;
+    let _destination;
+    let _stats = create_stats();
+    let _count_buffered = () => 0;
+    let _stats_interval;
+    let _flush;
+    let _trips;
+    let _backfill;
     let _streamers = {};
+    // promises of the writes that are running, so stop can wait for them
+    let _in_flight = new Set();
 
-    let _value_to_type = function(point) {
-        const value = point.value;
+    // timestream limits on WriteRecords, and how hard we'll push it
+    const _max_records_per_write = 100;
+    const _max_concurrent_writes = 4;
+    // how often to publish the stats as signalk paths, if enabled
+    const _stats_publish_interval = 10 * 1000;
+    // how long to keep the table's columns before looking them up again
+    const _max_table_columns_age = 10 * 60 * 1000;
+    // how long stop waits for writes to finish
+    const _stop_timeout = 10 * 1000;
+    // trip summaries are written as this path
+    const _trip_path = 'plugins.timestream.trip';
+    const _stats_path_prefix = 'plugins.timestream.';
+    const _knots = 1852 / 3600;
 
-        if (typeof(value) == 'string') {
-            return "VARCHAR";
-        } else if (typeof(value) == 'number') {
-            return "DOUBLE";
-        } else if (typeof(value) == 'bool') {
-            return "BOOLEAN";
+    // errors that mean we couldn't reach timestream, rather than timestream
+    // telling us the request is bad, these are worth spooling and retrying
+    let _is_retryable = function(err) {
+        return err.retryable ||
+            ['NetworkingError', 'TimeoutError', 'UnknownEndpoint'].includes(err.code);
+    };
+
+    // timestream writes all the valid records in a request and tells us about
+    // the ones it rejected, so log those individually and carry on
+    let _log_rejected_records = function(params, rejected_records) {
+        rejected_records.forEach(function(rejected) {
+            const record = params.Records[rejected.RecordIndex] || {};
+            const existing_version = _.isUndefined(rejected.ExistingVersion) ?
+                '' : ` existing version=${rejected.ExistingVersion}`;
+            debug(`rejected ${record.MeasureName} at ${record.Time}: ${rejected.Reason}${existing_version}`);
+        });
+
+        _stats.records_rejected(rejected_records.length);
+        debug(`${rejected_records.length} of ${params.Records.length} records rejected, ${_stats.records_rejected_total()} total`);
+    };
+
+    // everything in the status route, the stats plus what's going on now
+    let _status = function() {
+        return Object.assign({
+            running: !_.isUndefined(_backend),
+            destination: _.isUndefined(_destination) ? null : _destination,
+            recordsBuffered: _count_buffered(),
+            spoolDepth: _spool ? _spool.depth() : 0,
+            streams: Object.keys(_streamers)
+        }, _stats.summary());
+    };
+
+    let _report_status = function(err) {
+        // a write finishing after we've stopped
+        if (_.isUndefined(_destination)) {
+            return;
+        }
+        const status = _stats.summary();
+        if (err) {
+            const spooled = _spool ? `, ${_spool.depth()} requests spooled` : '';
+            app.setPluginError(`Could not write to ${_destination}: ${err.message}${spooled}`);
         } else {
-            debug(`could not determine type for ${point.name}=${JSON.stringify(value)}`);
-            return "VARCHAR";
+            const rejected = status.recordsRejected > 0 ? `, ${status.recordsRejected} rejected` : '';
+            app.setPluginStatus(`Publishing to ${_destination}: ${status.recordsWritten} records written${rejected}, last at ${status.lastWrite}`);
+        }
+    };
+
+    // publish the stats back into signalk, under plugins.timestream
+    let _publish_stats = function() {
+        const status = _status();
+        const values = ['recordsBuffered', 'recordsWritten', 'recordsRejected', 'requestsFailed',
+            'lastWrite', 'spoolDepth', 'averageQueryLatency']
+            .filter(name => status[name] !== null)
+            .map(name => ({ path: `${_stats_path_prefix}${name}`, value: status[name] }));
+        values.push({ path: `${_stats_path_prefix}activeStreams`, value: status.streams.length });
+
+        app.handleMessage(_plugin.id, {
+            context: `vessels.${app.selfId}`,
+            updates: [{
+                timestamp: new Date().toISOString(),
+                values: values
+            }]
+        });
+    };
+
+    // leave out the records older than the backend will take, which it would
+    // only reject, returns params with the rest
+    let _without_too_old = function(params, earliest_time) {
+        if (_.isUndefined(earliest_time)) {
+            return params;
         }
+        const common_time = (params.CommonAttributes || {}).Time;
+        const records = params.Records.filter(record => parseInt(record.Time || common_time) >= earliest_time);
+        const too_old = params.Records.length - records.length;
+        if (too_old == 0) {
+            return params;
+        }
+
+        debug(`dropping ${too_old} records from before ${new Date(earliest_time).toISOString()}, which can't be stored`);
+        _stats.records_too_old(too_old);
+        return Object.assign({}, params, { Records: records });
+    };
+
+    let _write_records = function(backend, params, callback) {
+        backend.earliest_time(Date.now()).then(function(earliest_time) {
+            _write_storable_records(backend, _without_too_old(params, earliest_time), callback);
+        }, function(err) {
+            // couldn't look the table up, which fails the write like any
+            // other error
+            debug(err);
+            _stats.write_failed(err);
+            _report_status(err);
+            callback(err);
+        });
     };
 
-    // publish the batch to timestream
-    let _publish_to_timstream = function(batch_of_points) {
+    let _write_storable_records = function(backend, params, callback) {
+        if (params.Records.length == 0) {
+            callback(null, { RecordsIngested: { Total: 0 } });
+            return;
+        }
+
+        trace(`publishing ${JSON.stringify(params)}`);
+        backend.write_records(params, function(err, data) {
+            if (err && err.code === 'RejectedRecordsException' && err.RejectedRecords) {
+                // the rest of the records were written, so this isn't a
+                // failure of the request
+                _log_rejected_records(params, err.RejectedRecords);
+                _stats.write_succeeded(params.Records.length - err.RejectedRecords.length);
+                err = null;
+            } else if (err) {
+                debug(err);
+                _stats.write_failed(err);
+            } else {
+                trace(`publish ok: num records=${params.Records.length} response=${JSON.stringify(data)}`);
+                _stats.write_succeeded(params.Records.length);
+            }
+            _report_status(err);
+            callback(err, data);
+        });
+    };
+
+    // send the requests to the backend, with at most _max_concurrent_writes
+    // in flight at once, calling callback(params, err) as each one finishes,
+    // returns a promise that resolves when they've all finished
+    let _write_all = function(backend, requests, callback) {
+        let next = 0;
+        let in_flight = 0;
+        let finished = 0;
+
+        const all_written = new Promise(resolve => {
+            let _send_next = function() {
+                while (in_flight < _max_concurrent_writes && next < requests.length) {
+                    const params = requests[next];
+                    next += 1;
+                    in_flight += 1;
+
+                    _write_records(backend, params, function(err) {
+                        in_flight -= 1;
+                        finished += 1;
+                        callback(params, err);
+                        if (finished == requests.length) {
+                            resolve();
+                        } else {
+                            _send_next();
+                        }
+                    });
+                }
+            };
+
+            _send_next();
+        });
+
+        _in_flight.add(all_written);
+        all_written.then(() => _in_flight.delete(all_written));
+        return all_written;
+    };
+
+    // publish the batch to timestream, returns a promise that resolves when
+    // it's been written (or failed), with the errors of the requests that
+    // failed and weren't kept in the spool to try again.  Historical points,
+    // from a backfill, don't get the dimensions that describe now, like the
+    // trip.
+    let _publish_to_timstream = function(batch_of_points, historical) {
         if (!batch_of_points) {
             trace('nothing to publish');
-            return;
+            return Promise.resolve([]);
         }
 
         let batch;
@@ -63,108 +259,190 @@ module.exports = function(app) {
                     !_.isUndefined(point.value) &&
                     !_.isUndefined(point.timestamp);
         });
-        // some values are composite values, like navigation or current
-        // in those cases, create a list element for each key/value pair in
-        // the nested object
-        //
-        // ex: {"name":"environment.current","value":{"setTrue":2.4364,"drift":0.34}}
-        //  -> [{"name":"environment.current.setTrue","value":2.4364,},
-        //      {"name":"environment.current.drift","value":0.34}]
-        batch = batch.map(function(point) {
-            if (typeof(point.value) == 'object') {
-                return Object.entries(point.value).map(function(v) {
-                    const value_name = v[0];
-                    const value = v[1];
+        // along with the meta of the paths, when it's changed
+        if (_meta) {
+            batch = batch.concat(_meta.changed(batch.filter(point => !point.event), historical));
+        }
+        // points that have statistics for the interval become a point for the
+        // last value plus one for each statistic
+        batch = _.flatten(batch.map(aggregate.expand));
 
-                    return {
-                        name: `${point.name}.${value_name}`,
-                        value: value,
-                        timestamp: point.timestamp
-                    };
-                });
-            } else {
-                return point;
-            }
-        });
-        // convert the list that may have pairs into a flat list
-        batch = _.flatten(batch);
+        // each context gets its own requests, so the context can be a common
+        // dimension of all the records in the request
+        const batch_by_context = _.groupBy(batch, point => point.context);
+        const requests = _.flatten(Object.entries(batch_by_context).map(function(entry) {
+            const context = entry[0];
+            const points = entry[1];
 
-        const records = batch.map(function(point) {
-            return {
-                MeasureName: point.name,
-                MeasureValue: `${point.value}`,
-                MeasureValueType: _value_to_type(point),
-                Time: `${point.timestamp}`
+            // events and meta always have their fields in one record, so
+            // they're kept together
+            const is_multi = point => point.event || point.meta;
+            const records = to_records(points.filter(point => !is_multi(point)), { multi_measure: _multi_measure })
+                .concat(to_records(points.filter(is_multi), { multi_measure: true }));
+            const common_attributes = {
+                TimeUnit: "MILLISECONDS",
+                Dimensions: [{
+                    Name: "context",
+                    Value: context
+                }].concat(_dimensions.for_context(context, historical))
+                    .concat(historical ? [] : _trip_dimension(context))
             };
-        });
-        // TODO: this assumes self only
-        let common_attributes = {
-            TimeUnit: "MILLISECONDS",
-            Dimensions: [{
-                Name: "context",
-                Value: app.selfId
-            }]
-        };
 
-        let params = {
-            DatabaseName: _database_name,
-            TableName: _table_name,
-            Records: records,
-            CommonAttributes: common_attributes
-        };
+            // split into requests timestream will accept
+            return _.chunk(records, _max_records_per_write).map(function(chunk) {
+                return {
+                    DatabaseName: _database_name,
+                    TableName: _table_name,
+                    Records: chunk,
+                    CommonAttributes: common_attributes
+                };
+            });
+        }));
 
-        if (records.length > 0) {
-            trace(`publishing ${JSON.stringify(params)}`);
-            timestream_write.writeRecords(params, function(err, data) {
-                if (err) {
-                    debug(err);
+        // these may finish after we've been stopped, and even restarted, so
+        // hang on to where they're going
+        const backend = _backend;
+        const spool = _spool;
+
+        if (requests.length > 0) {
+            let lost = [];
+            return _write_all(backend, requests, function(params, err) {
+                if (!spool) {
+                    if (err) {
+                        lost.push(err);
+                    }
+                    return;
+                }
+
+                if (err && _is_retryable(err)) {
+                    // keep it on disk until we can reach timestream again
+                    if (!spool.push(params)) {
+                        _stats.spool_failed(params.Records.length);
+                        lost.push(err);
+                    }
+                } else if (err) {
+                    lost.push(err);
                 } else {
-                    trace(`publish ok: num records=${records.length} response=${JSON.stringify(data)}`);
+                    // we're connected, so catch up on anything spooled
+                    spool.drain();
                 }
-            });
+            }).then(() => lost);
         } else {
             trace('nothing to publish');
+            return Promise.resolve([]);
         }
     };
 
+    // the signalk meta of the path, from the server's metadata where it has
+    // it, or the meta in the full model
+    let _get_meta = function(context, path) {
+        const metadata = app.getMetadata ? app.getMetadata(`${context}.${path}`) : undefined;
+        return metadata || app.getPath(`${context}.${path}.meta`);
+    };
+
+    // records for self written during a trip are tagged with the trip's id
+    let _trip_dimension = function(context) {
+        const id = _trips && context === `vessels.${app.selfId}` ? _trips.current_id() : undefined;
+        return _.isUndefined(id) ? [] : [{ Name: 'trip', Value: id }];
+    };
+
+    let _write_trip_summary = function(summary) {
+        const point = {
+            context: `vessels.${app.selfId}`,
+            name: _trip_path,
+            value: summary,
+            timestamp: Date.parse(summary.endTime)
+        };
+        _publish_to_timstream({ [_point_key(point)]: point });
+    };
+
     let _construct_filter_function = function(options) {
-        const regexes = options.filter_list.map(function(path) {
-            // path is a glob pattern, and we need to convert it to a regex matcher
-            let regex = path;
-            // first convert '.' to '\.'
-            regex = regex.replace(/\./gi, '\\.');
-            // next convert '*' to '.*'
-            regex = regex.replace(/\*/gi, '.*');
-            // finally always do a full match
-            regex = `^${regex}$`;
-            trace(`created regex=${regex} from path=${path}`);
-            // and create the regex
-            return new RegExp(regex, 'g');
-        });
+        const regexes = options.filter_list.map(glob.to_regex);
         return function(value) {
+            // recording our own stats costs writes, and a failing write
+            // would make more of them, so only if asked to
+            if (!options.record_stats && value.path.startsWith(_stats_path_prefix)) {
+                return false;
+            }
             // TODO: it might be more efficient to create a single giant regex
             // on startup than to do .some() or .every()
             if (options.filter_list_type == 'include') {
                 // if we're filtering to include elements, we'll include if at
-                // least one regex matches (ie, the search finds something)
-                return regexes.some(function(re) { return value.path.search(re) != -1; });
+                // least one regex matches
+                return glob.matches_any(regexes, value.path);
             } else {
                 // if we're filtering to exclude, we'll include this in the
-                // result if every regex doesn't match (ie search finds
-                // nothing)
-                return regexes.every(function(re) { return value.path.search(re) == -1; });
+                // result if no regex matches
+                return !glob.matches_any(regexes, value.path);
             }
         };
     };
 
-    let _add_delta_to_batch = function(options) {
-        // construct the filter function once and use the result
+    // signalk lets self be referred to as vessels.self, but we always want to
+    // store the real context
+    let _normalize_context = function(context) {
+        return context.replace(/^vessels\.self$/, `vessels.${app.selfId}`);
+    };
+
+    let _construct_context_filter_function = function(options) {
+        const regexes = (options.contexts || ['vessels.self'])
+            .map(_normalize_context)
+            .map(glob.to_regex);
+
+        return function(context) {
+            return glob.matches_any(regexes, context);
+        };
+    };
+
+    // the batch is keyed so we keep the last reported delta for each path
+    // from each source in each context
+    let _point_key = function(point) {
+        return `${point.context}/${point.name}/${point.source}`;
+    };
+
+    // deltas from the server normally have $source, but fall back to building
+    // it the same way the server does from the source object
+    let _source_of = function(update) {
+        if (update.$source) {
+            return update.$source;
+        }
+        if (!update.source || !update.source.label) {
+            return undefined;
+        }
+
+        const source = update.source;
+        const id = _.isUndefined(source.src) ? source.talker : source.src;
+        return _.isUndefined(id) ? source.label : `${source.label}.${id}`;
+    };
+
+    // data that isn't from now, from a backfill, can be as old as it likes,
+    // but still needs a time
+    let _construct_timestamp_check = function(options, historical) {
+        return create_timestamp_check({
+            action: historical ? 'drop' : options.timestamp_action || 'correct',
+            max_age: historical ? 0 : (_.isUndefined(options.timestamp_max_age) ? 60 : options.timestamp_max_age) * 60 * 1000,
+            max_ahead: historical ? 0 : (_.isUndefined(options.timestamp_max_ahead) ? 5 : options.timestamp_max_ahead) * 60 * 1000,
+            on_corrected: count => _stats.timestamps_corrected(count),
+            on_dropped: count => _stats.timestamps_dropped(count)
+        });
+    };
+
+    let _add_delta_to_batch = function(options, historical) {
+        // construct the filter functions once and use the result
         let filter_function = _construct_filter_function(options);
+        let context_filter_function = _construct_context_filter_function(options);
+        let statistics_function = aggregate.construct_statistics_function(options.aggregations);
+        let check_timestamp = _construct_timestamp_check(options, historical);
 
-        return function(delta, batch_of_points) {
+        // notifications go to on_notification instead of the batch
+        return function(delta, batch_of_points, on_notification) {
             // for the guardians, return the batch unmodified
-            // filter out deltas not about us
-            if (delta.context !== 'vessels.self' && delta.context !== `vessels.${app.selfId}`) {
+            // filter out deltas for contexts we don't record
+            if (!delta.context) {
+                return batch_of_points;
+            }
+            const context = _normalize_context(delta.context);
+            if (!context_filter_function(context)) {
                 return batch_of_points;
             }
 
@@ -174,60 +452,223 @@ module.exports = function(app) {
 
             // We do this at two layers, since we have to layers to iterate
             // over, update and values.  batch_of_points contains a map with
-            // name -> { name, value, timestamp }.  We want to end up
-            // generating a new map and overwriting existing values with new
-            // values by name.  We do this by a reduce where we assign the
+            // context/name/source -> { context, source, name, value, timestamp }.
+            // We want to end up generating a new map and overwriting existing
+            // values with new values by key.  We do this by a reduce where we assign the
             // single key.  The result is the new map.
             return delta.updates.reduce(function(batch, update) {
                 if (!update.values) {
                     return batch;
                 }
 
+                const source = _source_of(update);
+
                 let points = [];
                 // start with all update values
                 points = update.values;
                 // deal with the include/exclude list
                 points = points.filter(filter_function);
+                if (points.length == 0) {
+                    return batch;
+                }
+                // devices without a fix send all sorts of times
+                const timestamp = check_timestamp(update.timestamp, points.length, Date.now());
+                if (_.isUndefined(timestamp)) {
+                    return batch;
+                }
                 // convert from signalk delta format to individual data points
                 points = points.map(function(value) {
                     return {
+                        context: context,
+                        source: source,
                         name: value.path,
                         value: value.value,
-                        timestamp: Date.parse(update.timestamp)
+                        timestamp: timestamp
                     };
                 });
 
                 // repeat the reduce pattern, this is where we actually do the
-                // assignment
+                // assignment, keeping statistics for the interval if the
+                // path wants them
                 return points.reduce(function(map, point) {
-                    map[point.name] = point;
+                    if (create_notifications.is_notification(point.name)) {
+                        on_notification(point);
+                        return map;
+                    }
+                    const key = _point_key(point);
+                    map[key] = aggregate.add(map[key], point, statistics_function(point.name));
                     return map;
                 }, batch);
             }, batch_of_points);
         };
     };
 
-    let _create_handle_delta = function(options) {
+    // whether the context is at anchor now, from navigation.state or the
+    // anchor position that anchor alarms set
+    let _is_anchored = function(context) {
+        const value = function(path) {
+            const node = app.getPath(`${context}.${path}`);
+            return _.isObject(node) && !_.isUndefined(node.value) ? node.value : node;
+        };
+        return value('navigation.state') === 'anchored' || _.isObject(value('navigation.anchor.position'));
+    };
+
+    // data that isn't from now can't tell if it was at anchor, so it gets the
+    // usual cadence
+    let _create_track = function(options, historical) {
+        return create_track({
+            tolerance: options.track_tolerance || 10,
+            min_distance: options.track_min_distance || 5,
+            max_interval: (options.track_max_interval || 15) * 60 * 1000,
+            anchor_watch_interval: (options.track_anchor_watch_interval || 60) * 1000,
+            is_anchored: historical ? () => false : _is_anchored
+        });
+    };
+
+    // a batch of points to publish, which takes the points whose write rule
+    // is due at a given time, so it works in data time as well as live
+    //
+    // returns { add(delta), take_due(now), take_all(now), take_events(), size() }
+    let _create_batch = function(options, historical) {
         // construct the filter function once and use the result
-        const add_to_batch = _add_delta_to_batch(options);
+        const add_to_batch = _add_delta_to_batch(options, historical);
 
         // cache the points here for a batch upload
-        // key = signalk path, value = value
-        // this batch has the last value registered during an interval and
-        // that's what will be published to timestream
+        // key = context/signalk path/source, value = point
+        // this batch has the last value registered during an interval, along
+        // with any statistics for the interval, and that's what will be
+        // published to timestream
         let batch_of_points = {};
 
-        // periodically publish the batched metrics to timestream
+        // each path may have its own interval and deadband, so we remember
+        // what was last written for each key to compare against, and to write
+        // again if nothing has been for max_silence
+        // key = context/signalk path/source, value = { value, time, point }
+        const rules = create_rules(options);
+        let last_written = {};
+
+        // navigation.position goes through the track simplification, which
+        // may hold on to a point, and give back more than one at once
+        const track = options.track_enabled ? _create_track(options, historical) : undefined;
+
+        // notifications are written as events on each change of state, which
+        // don't wait for a rule to be due
+        const notifications = create_notifications();
+        let events = [];
+
+        let _add_notification = function(point) {
+            const event = notifications.transition(point);
+            if (event) {
+                events.push(event);
+            }
+        };
+
+        let _take_events = function() {
+            const taken = _.fromPairs(events.map(e => [`${_point_key(e)}/${e.timestamp}`, e]));
+            events = [];
+            return taken;
+        };
+
+        // take the points whose rule is due out of the batch, leaving the rest
+        // to keep accumulating, along with any events
+        let _take_due_points = function(now) {
+            const due_rules = rules.take_due(now);
+            if (due_rules.length == 0) {
+                return _take_events();
+            }
+            return Object.assign(_take_events(), _take_points(now, rule => due_rules.includes(rule)));
+        };
+
+        let _take_points = function(now, is_due) {
+            let due_points = {};
+            Object.entries(batch_of_points).forEach(function(entry) {
+                const key = entry[0];
+                const point = entry[1];
+                const rule = rules.rule_for(point.name);
+
+                if (!is_due(rule)) {
+                    return;
+                }
+                delete batch_of_points[key];
+
+                if (rules.is_unchanged(rule, last_written[key], point, now)) {
+                    trace(`skipping unchanged ${key}`);
+                    return;
+                }
+                last_written[key] = { value: point.value, time: now, point: point };
+                if (track && point.name === 'navigation.position' && !point.stats) {
+                    track.add(point).forEach(p => { due_points[`${key}/${p.timestamp}`] = p; });
+                } else {
+                    due_points[key] = point;
+                }
+            });
+
+            // paths that are only sent when they change may not have sent
+            // anything since they were last written, so write the last value
+            // again, as of now
+            Object.entries(last_written).forEach(function(entry) {
+                const key = entry[0];
+                const written = entry[1];
+                const rule = rules.rule_for(written.point.name);
+
+                if (_.isUndefined(due_points[key]) && is_due(rule) && rules.is_overdue(rule, written, now)) {
+                    trace(`writing ${key} again after ${rule.max_silence}s of silence`);
+                    const point = Object.assign(_.omit(written.point, 'stats'), { timestamp: now });
+                    last_written[key] = { value: point.value, time: now, point: point };
+                    due_points[key] = point;
+                }
+            });
+
+            return due_points;
+        };
+
+        let _take_all_points = function(now) {
+            let all_points = Object.assign(_take_events(), _take_points(now, () => true));
+            if (track) {
+                track.flush().forEach(p => { all_points[`${_point_key(p)}/${p.timestamp}`] = p; });
+            }
+            return all_points;
+        };
+
+        return {
+            tick_interval: rules.tick_interval,
+            add: function(delta) {
+                batch_of_points = add_to_batch(delta, batch_of_points, _add_notification);
+            },
+            take_due: _take_due_points,
+            take_all: _take_all_points,
+            take_events: _take_events,
+            size: () => Object.keys(batch_of_points).length + events.length
+        };
+    };
+
+    let _create_handle_delta = function(options) {
+        const batch = _create_batch(options);
+        _count_buffered = batch.size;
+
+        // periodically publish the batched metrics that are due to timestream
         _publish_interval = setInterval(function() {
-            // publish
-            _publish_to_timstream(batch_of_points);
-            // reset the batch of points
-            batch_of_points = {};
-        }, options.write_interval * 1000);
+            _publish_to_timstream(batch.take_due(Date.now()));
+        }, batch.tick_interval * 1000);
+
+        // publish everything in the batch, whether it's due or not
+        _flush = function() {
+            return _publish_to_timstream(batch.take_all(Date.now()));
+        };
 
-        // add a delta to the batch
+        // add a delta to the batch, and follow the trip, which needs paths
+        // that may not be recorded
         return function(delta) {
-            batch_of_points = add_to_batch(delta, batch_of_points);
+            if (_trips && delta.context && _normalize_context(delta.context) === `vessels.${app.selfId}`) {
+                _trips.handle_delta(delta);
+            }
+            batch.add(delta);
+
+            // events are written as they happen
+            const events = batch.take_events();
+            if (!_.isEmpty(events)) {
+                _publish_to_timstream(events);
+            }
         };
     };
 
@@ -235,12 +676,107 @@ module.exports = function(app) {
         debug('starting');
         _database_name = options.database;
         _table_name = options.table;
+        _multi_measure = options.multi_measure;
+        _dimensions = create_dimensions(options.dimensions,
+            (context, path) => app.getPath(`${context}.${path}`));
+        _history_lookback = (options.history_lookback || 24) * 60 * 60 * 1000;
+        _stats = create_stats();
+        _meta = options.write_meta === false ? undefined : create_meta(_get_meta);
+
+        if (options.backend === 'local') {
+            _backend = create_local_backend({
+                directory: path.join(app.getDataDirPath(), 'local-store')
+            });
+        } else {
+            // rebuilt on every start, so configuration changes take effect
+            const clients = create_aws_clients({
+                region: options.region,
+                write_endpoint: options.write_endpoint,
+                query_endpoint: options.query_endpoint,
+                write_credentials: options.write_credentials,
+                read_credentials: options.read_credentials
+            });
+            _backend = create_timestream_backend({
+                database: options.database,
+                table: options.table,
+                write_client: clients.write,
+                query_client: clients.query,
+                provision: options.provision ? {
+                    memory_retention: options.memory_retention,
+                    magnetic_retention: options.magnetic_retention
+                } : undefined
+            });
+        }
+
+        // the backend may not be usable, say the table is missing, so let the
+        // user know, unless we've been restarted in the meantime
+        const backend = _backend;
+        _destination = options.backend === 'local' ?
+            'local files' : `${options.database}.${options.table}`;
+        backend.ready().then(function() {
+            if (backend === _backend) {
+                app.setPluginStatus(`Publishing to ${_destination}`);
+            }
+        }, function(err) {
+            debug(err);
+            if (backend === _backend) {
+                app.setPluginError(err.message);
+            }
+        });
+
+        // on unless it's been turned off, since configs from before the spool
+        // don't have the setting
+        if (_.isUndefined(options.spool_enabled) || options.spool_enabled) {
+            _spool = create_spool({
+                directory: path.join(app.getDataDirPath(), 'spool'),
+                max_bytes: (_.isUndefined(options.spool_max_size) ? 100 : options.spool_max_size) * 1024 * 1024,
+                max_age: (_.isUndefined(options.spool_max_age) ? 168 : options.spool_max_age) * 60 * 60 * 1000,
+                send: (params, callback) => _write_records(backend, params, callback),
+                is_retryable: _is_retryable
+            });
+        }
+
+        if (options.trips_enabled) {
+            _trips = create_trips({
+                start_speed: (options.trip_start_speed || 1) * _knots,
+                stop_speed: (options.trip_stop_speed || 0.5) * _knots,
+                start_after: (options.trip_start_after || 2) * 60 * 1000,
+                stop_after: (options.trip_stop_after || 10) * 60 * 1000,
+                state_file: path.join(app.getDataDirPath(), 'trip.json'),
+                on_trip_end: _write_trip_summary
+            });
+        }
+
         _handle_delta = _create_handle_delta(options);
 
+        // carry on with any backfill that was interrupted by a restart
+        _backfill = create_backfill({
+            state_file: path.join(app.getDataDirPath(), 'backfill.json'),
+            create_batch: () => _create_batch(options, true),
+            publish: function(points) {
+                return _publish_to_timstream(points, true).then(function(lost) {
+                    if (lost.length > 0) {
+                        throw new Error(`${lost.length} write requests failed: ${lost[0].message}`);
+                    }
+                });
+            },
+            rate: options.backfill_rate || 1000
+        });
+        _backfill.resume();
+
         // observe all the deltas
         app.signalk.on('delta', _handle_delta);
+        _add_shutdown_handlers();
+
+        if (options.publish_stats) {
+            _stats_interval = setInterval(_publish_stats, _stats_publish_interval);
+        }
 
         app.registerHistoryProvider(_plugin);
+        // only newer servers have the history api
+        if (app.registerHistoryApiProvider) {
+            app.registerHistoryApiProvider(_history_api.provider);
+        }
 
         // Note that I'm not using subscriptionmanager.  This is for two reasons:
         //
@@ -253,92 +789,482 @@ module.exports = function(app) {
         // subscriptionmanager.
     };
 
+    // wait for the writes that are running, but not forever
+    let _wait_for_writes = function(timeout) {
+        if (_in_flight.size == 0) {
+            return Promise.resolve();
+        }
+        debug(`waiting for ${_in_flight.size} writes to finish`);
+
+        let timer;
+        const timed_out = new Promise(resolve => {
+            timer = setTimeout(function() {
+                debug(`gave up waiting for ${_in_flight.size} writes after ${timeout}ms`);
+                resolve();
+            }, timeout);
+        });
+        return Promise.race([Promise.all(Array.from(_in_flight)), timed_out])
+            .then(() => clearTimeout(timer));
+    };
+
+    // the server may be restarted with this plugin running, so stop it the
+    // same way it's stopped when it's disabled, then let the signal do
+    // whatever it would have done without us
+    let _on_shutdown = function(signal) {
+        debug(`${signal}, stopping`);
+        _remove_shutdown_handlers();
+
+        const others = process.listenerCount(signal);
+        _stop().then(function() {
+            // nobody else is handling it, so do the default, which is to exit
+            if (others == 0) {
+                process.kill(process.pid, signal);
+            }
+        });
+    };
+    const _shutdown_handlers = {
+        SIGTERM: () => _on_shutdown('SIGTERM'),
+        SIGINT: () => _on_shutdown('SIGINT')
+    };
+
+    let _add_shutdown_handlers = function() {
+        Object.entries(_shutdown_handlers).forEach(entry => process.on(entry[0], entry[1]));
+    };
+
+    let _remove_shutdown_handlers = function() {
+        Object.entries(_shutdown_handlers).forEach(entry => process.removeListener(entry[0], entry[1]));
+    };
+
+    // returns a promise that resolves once the last batch has been written,
+    // or we've given up waiting for it
     let _stop = function(options) {
         debug('stopping');
+        _remove_shutdown_handlers();
 
         // stop the work
         if (_handle_delta) {
             app.signalk.removeListener('delta', _handle_delta);
         }
         if (_publish_interval) {
-            // TODO: publish last batch
             clearInterval(_publish_interval);
         }
+        if (_stats_interval) {
+            clearInterval(_stats_interval);
+        }
+
+        // write what's in the batch, rather than lose up to write_interval
+        // of data, anything that fails with the spool enabled ends up in the
+        // spool for next time
+        if (_flush) {
+            _flush();
+        }
+        if (_spool) {
+            _spool.stop();
+        }
+        if (_trips) {
+            _trips.stop();
+        }
+        if (_backfill) {
+            _backfill.stop();
+        }
+
+        Object.keys(_streamers).forEach(function(cookie) {
+            debug(`stop streaming cookie=${cookie}`);
+            _streamers[cookie].stop();
+            delete _streamers[cookie];
+        });
 
         app.unregisterHistoryProvider(_plugin);
+        if (app.unregisterHistoryApiProvider) {
+            app.unregisterHistoryApiProvider();
+        }
 
         // clean up the state
         _database_name = undefined;
         _table_name = undefined;
+        _multi_measure = undefined;
+        _dimensions = create_dimensions([]);
+        _meta = undefined;
+        _table_columns = undefined;
+        _history_lookback = undefined;
         _handle_delta = undefined;
         _publish_interval = undefined;
+        _spool = undefined;
+        _backend = undefined;
+        _destination = undefined;
+        _count_buffered = () => 0;
+        _stats_interval = undefined;
+        _flush = undefined;
+        _trips = undefined;
+        _backfill = undefined;
+
+        return _wait_for_writes(_stop_timeout);
+    };
+
+    // run the query (from queries.query) on the backend, handing each page of
+    // the result to on_page, returns { done, cancel }
+    let _run_query = function(query, on_page) {
+        if (_.isUndefined(_backend)) {
+            throw new Error('plugin is not started');
+        }
+        trace(`query ${query.name}`);
+
+        const started = Date.now();
+        const running = _backend.query(query, on_page);
+        running.done.then(
+            () => _stats.query_finished(Date.now() - started),
+            () => _stats.query_failed());
+        return running;
     };
 
-    let _query = function(start_time, end_time) {
-        trace(`_query(${start_time}, ${end_time})`);
+    // the columns of the table, from DESCRIBE, as a promise of the result of
+    // queries.parse_describe.  It's looked up again if a result has a column
+    // we haven't seen (column_names, if given), since writing may have added
+    // it, and every so often for queries that name the columns, which can't
+    // tell.
+    let _describe_columns = function(column_names) {
+        const known = function(columns) {
+            return (column_names || []).every(name => columns.some(col => col.name === name));
+        };
+
+        if (_table_columns && Date.now() - _table_columns_time < _max_table_columns_age) {
+            return _table_columns.then(columns => known(columns) ? columns : _describe_columns_again());
+        }
+        return _describe_columns_again();
+    };
 
-        return new Promise((resolve, reject) => {
-            const q_start = `from_iso8601_timestamp('${start_time.toISOString()}')`;
-            const q_end   = `from_iso8601_timestamp('${end_time.toISOString()}')`;
+    let _describe_columns_again = function() {
+        const columns = _query_result(queries.query('describe')).then(queries.parse_describe);
+        _table_columns = columns;
+        _table_columns_time = Date.now();
+        columns.catch(() => {
+            if (_table_columns === columns) {
+                _table_columns = undefined;
+            }
+        });
+        return columns;
+    };
 
-            const select    = `SELECT *`;
-            const from      = `FROM "${_database_name}"."${_table_name}"`;
-            const where     = `WHERE time >= ${q_start} AND time < ${q_end} AND context = '${app.selfId}'`;
-            const order_by  = `ORDER BY time ASC`;
-            const query     = `${select} ${from} ${where} ${order_by}`;
+    // run the query, calling on_deltas with the deltas from each page of the
+    // result as it arrives, returns { done, cancel }.  Which columns are
+    // dimensions comes from the table rather than the configuration, so data
+    // written with dimensions that have since been removed still parses.
+    let _query_pages = function(query, on_deltas) {
+        let parsed = Promise.resolve();
+        const running = _run_query(query, function(page) {
+            parsed = parsed
+                .then(() => _describe_columns(page.ColumnInfo.map(col => col.Name)))
+                .then(function(columns) {
+                    const dimensions = columns
+                        .filter(col => col.attribute_type === 'DIMENSION')
+                        .map(col => col.name);
+                    const deltas = parse_timestream(page, { dimensions: dimensions });
+                    trace(`timestream_query deltas ${JSON.stringify(deltas)}`);
+                    on_deltas(deltas);
+                });
+            // a failed parse is reported by done, unless the query fails
+            // first, and then it mustn't be left unhandled
+            parsed.catch(err => trace(`parse failed: ${err}`));
+        });
 
-            trace(`_query.query = ${query}`);
+        return {
+            done: running.done.then(() => parsed),
+            cancel: running.cancel
+        };
+    };
 
-            const params = {
-                QueryString: query
+    // each page has its own delta per context, so combine them
+    let _merge_deltas = function(deltas) {
+        const deltas_by_context = _.groupBy(deltas, delta => delta.context);
+        return _.map(Object.entries(deltas_by_context), function(entry) {
+            return {
+                context: entry[0],
+                updates: _.flatten(entry[1].map(delta => delta.updates))
             };
+        });
+    };
 
-            timestream_query.query(params, function(err, data) {
-                if (err) {
-                    reject(err);
-                } else {
-                    const delta = parse_timestream(app.selfId, data);
-                    trace(`timestream_query delta ${JSON.stringify(delta)}`);
-                    resolve([delta]);
-                }
-            });
+    // run the query and return all the deltas in the result
+    let _query_deltas = function(query) {
+        let deltas = [];
+        const running = _query_pages(query, function(page_deltas) {
+            deltas = deltas.concat(page_deltas);
+        });
+
+        return running.done.then(() => _merge_deltas(deltas));
+    };
+
+    // run the query and return the raw result, for queries that don't return
+    // measures
+    let _query_result = function(query) {
+        let result = { ColumnInfo: [], Rows: [] };
+        const running = _run_query(query, function(page) {
+            result.ColumnInfo = page.ColumnInfo;
+            result.Rows = result.Rows.concat(page.Rows);
         });
+
+        return running.done.then(() => result);
+    };
+
+    const _history_api = create_history_api({
+        self_id: () => app.selfId,
+        query_result: _query_result,
+        describe_columns: () => _describe_columns()
+    });
+
+    // the custom dimensions, a map of name -> value, and paths, optionally
+    // limit the query
+    const _export_api = create_export_api({
+        self_id: () => app.selfId,
+        query_pages: _query_pages,
+        query_result: _query_result
+    });
+
+    let _query = function(start_time, end_time, dimensions, paths) {
+        trace(`_query(${start_time}, ${end_time}, ${JSON.stringify(dimensions)}, ${paths})`);
+
+        return _query_deltas(queries.query('time_range', start_time, end_time, dimensions, paths));
+    };
+
+    // the time of the first data at or after time, and before end_time, or
+    // undefined if there's none
+    let _next_time = function(time, end_time) {
+        return _query_result(queries.query('first_time_after', time, end_time))
+            .then(function(result) {
+                const row = result.Rows[0];
+                const value = row ? row.Data[0].ScalarValue : undefined;
+                return _.isUndefined(value) ? undefined : parse_timestream.parse_time(value);
+            });
     };
 
     let _stream_history = function(cookie, options, on_delta) {
         const playback_rate = options.playbackRate || 1;
-        let playback_now = options.startTime;
 
-        debug(`start streaming cookie=${cookie} from ${playback_now} at rate ${playback_rate}`);
+        debug(`start streaming cookie=${cookie} from ${options.startTime} at rate ${playback_rate}`);
+
+        let _stop_streaming = function() {
+            if (_streamers[cookie]) {
+                debug(`stop streaming cookie=${cookie}`);
+                _streamers[cookie].stop();
+                delete _streamers[cookie];
+            }
+        };
+
+        _streamers[cookie] = create_playback({
+            start_time: options.startTime,
+            rate: playback_rate,
+            query_range: function(start_time, end_time, on_deltas) {
+                return _query_pages(queries.query('time_range', start_time, end_time), on_deltas);
+            },
+            next_time: _next_time,
+            on_delta: on_delta,
+            on_end: _stop_streaming
+        });
+
+        return _stop_streaming;
+    };
+
+    // control a running stream, these are exposed through the router
+    let _control_stream = function(req, res, action) {
+        const streamer = _streamers[req.params.cookie];
+        if (!streamer) {
+            res.status(404).json({ error: `no stream for cookie ${req.params.cookie}` });
+            return;
+        }
+
+        try {
+            action(streamer);
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+            return;
+        }
+
+        res.json({
+            position: streamer.position().toISOString(),
+            rate: streamer.rate(),
+            paused: streamer.is_paused()
+        });
+    };
+
+    // the trips that ended between from and to, and the open trip, if any,
+    // each with its start time to stream history from
+    let _get_trips = function(from, to) {
+        return _query(from, to, undefined, [_trip_path]).then(function(deltas) {
+            const finished = _.flatten(deltas.map(delta => _.flatten(delta.updates.map(function(update) {
+                return update.values.filter(v => v.path === _trip_path).map(v => v.value);
+            }))));
+
+            return {
+                trips: _.sortBy(finished, trip => trip.startTime),
+                current: _trips ? _trips.current() || null : null
+            };
+        });
+    };
+
+    // the notification events between from and to, oldest first, for
+    // contexts matching context and paths matching the globs in paths, if
+    // they're given
+    let _get_notifications = function(from, to, context, paths) {
+        const dimensions = context ? { context: _normalize_context(context) } : undefined;
+        paths = (paths || []).filter(create_notifications.is_notification);
 
-        _streamers[cookie] = setInterval(function() {
-            const playback_interval_end = new Date(playback_now.getTime() + (1000 * playback_rate));
-            trace(`update stream from ${playback_now} to ${playback_interval_end}`);
+        return _query(from, to, dimensions, paths.length > 0 ? paths : ['notifications.*']).then(function(deltas) {
+            const events = _.flatten(deltas.map(delta => _.flatten(delta.updates.map(function(update) {
+                return update.values
+                    .filter(v => create_notifications.is_notification(v.path) && _.isObject(v.value))
+                    .map(function(v) {
+                        return {
+                            time: update.timestamp,
+                            context: delta.context,
+                            path: v.path,
+                            source: update.$source || null,
+                            state: v.value.state,
+                            message: _.isUndefined(v.value.message) ? null : v.value.message,
+                            method: _.isArray(v.value.method) ? v.value.method : []
+                        };
+                    });
+            }))));
+
+            return { notifications: _.sortBy(events, event => event.time) };
+        });
+    };
 
-            _query(playback_now, playback_interval_end)
-                .then(on_delta)
+    let _register_with_router = function(router) {
+        router.get('/backfill', function(req, res) {
+            res.json(_backfill ? _backfill.status() : { running: false });
+        });
+        // files is a comma separated list of data log files or directories
+        // on the server, or a list in the body
+        router.post('/backfill', function(req, res) {
+            if (!_backfill) {
+                res.status(503).json({ error: 'plugin is not started' });
+                return;
+            }
+            const files = (req.body && _.isArray(req.body.files)) ? req.body.files :
+                (req.query.files || '').split(',').filter(f => f.length > 0);
+            try {
+                _backfill.start(files);
+            } catch (err) {
+                res.status(400).json({ error: err.message });
+                return;
+            }
+            res.status(202).json(_backfill.status());
+        });
+        // carry on with a backfill that stopped, say when writes failed
+        router.post('/backfill/resume', function(req, res) {
+            if (!_backfill) {
+                res.status(503).json({ error: 'plugin is not started' });
+                return;
+            }
+            _backfill.resume();
+            res.status(202).json(_backfill.status());
+        });
+        router.post('/backfill/cancel', function(req, res) {
+            if (_backfill) {
+                _backfill.cancel();
+            }
+            res.json(_backfill ? _backfill.status() : { running: false });
+        });
+
+        router.get('/trips', function(req, res) {
+            const from = new Date(req.query.from || 0);
+            const to = req.query.to ? new Date(req.query.to) : new Date();
+            if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+                res.status(400).json({ error: 'invalid from or to time' });
+                return;
+            }
+
+            let trips;
+            try {
+                trips = _get_trips(from, to);
+            } catch (err) {
+                res.status(400).json({ error: err.message });
+                return;
+            }
+            trips
+                .then(result => res.json(result))
                 .catch(err => {
-                    // log the error and continue
                     debug(err);
+                    res.status(500).json({ error: err.message });
                 });
+        });
 
-            playback_now = playback_interval_end;
-        }, 1000);
+        // paths is a comma separated list of globs under notifications
+        router.get('/notifications', function(req, res) {
+            const from = new Date(req.query.from || 0);
+            const to = req.query.to ? new Date(req.query.to) : new Date();
+            if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+                res.status(400).json({ error: 'invalid from or to time' });
+                return;
+            }
 
-        return function() {
-            debug(`stop streaming cookie=${cookie}`);
-            clearInterval(_streamers[cookie]);
-            delete _streamers[cookie];
-        };
+            let notifications;
+            try {
+                notifications = _get_notifications(from, to, req.query.context,
+                    (req.query.paths || '').split(',').filter(p => p.length > 0));
+            } catch (err) {
+                res.status(400).json({ error: err.message });
+                return;
+            }
+            notifications
+                .then(result => res.json(result))
+                .catch(err => {
+                    debug(err);
+                    res.status(500).json({ error: err.message });
+                });
+        });
+
+        _history_api.register_routes(router);
+        _export_api.register_routes(router);
+
+        router.get('/status', function(req, res) {
+            res.json(_status());
+        });
+
+        router.get('/streams/:cookie', function(req, res) {
+            _control_stream(req, res, () => {});
+        });
+        router.post('/streams/:cookie/pause', function(req, res) {
+            _control_stream(req, res, streamer => streamer.pause());
+        });
+        router.post('/streams/:cookie/resume', function(req, res) {
+            _control_stream(req, res, streamer => streamer.resume());
+        });
+        router.post('/streams/:cookie/seek', function(req, res) {
+            _control_stream(req, res, function(streamer) {
+                const time = new Date(req.query.time);
+                if (isNaN(time.getTime())) {
+                    throw new Error(`invalid time ${req.query.time}`);
+                }
+                streamer.seek(time);
+            });
+        });
+        router.post('/streams/:cookie/rate', function(req, res) {
+            _control_stream(req, res, function(streamer) {
+                const rate = parseFloat(req.query.rate);
+                if (!(rate > 0)) {
+                    throw new Error(`invalid rate ${req.query.rate}`);
+                }
+                streamer.set_rate(rate);
+            });
+        });
     };
 
     let _get_history = function(time, path, callback) {
         trace(`_get_history(${time}, ${path})`);
 
-        // look back through 5min of history, and assume that if we don't find
-        // a datapoint in that range, then it doesn't exist
-        const start_time = new Date(time.getTime() - 1000 * 60 * 5);
-        _query(start_time, time)
+        // slow changing paths (tank levels, battery state) may not have been
+        // written for a while, so find the latest value of every path as of
+        // time, looking back as far as the configured lookback.  The meta of
+        // a path is stored under a name of its own, so ask for that too.
+        const start_time = new Date(time.getTime() - _history_lookback);
+        const paths = path ? [path, create_meta.measure_name(path)] : [];
+
+        // the query names every value column, so first find out what they are
+        _describe_columns()
+            .then(function(columns) {
+                return _query_deltas(queries.query('latest_values', columns, start_time, time, paths));
+            })
             .then(callback)
             .catch(err => {
                 // log the error and continue
@@ -357,7 +1283,7 @@ module.exports = function(app) {
             .then(deltas => {
                 // count the updates
                 const update_count = deltas.map(delta => delta.updates.length);
-                const total_updates = update_count.reduce((accumulator, cur_val) => accumulator + cur_val);
+                const total_updates = update_count.reduce((accumulator, cur_val) => accumulator + cur_val, 0);
 
                 // we have data if there's at least one update
                 const has_data = total_updates > 0;
@@ -369,6 +1295,32 @@ module.exports = function(app) {
             });
     };
 
+    let _credentials_schema = function(title, description) {
+        return {
+            type: 'object',
+            title: title,
+            description: description,
+            properties: {
+                profile: {
+                    type: 'string',
+                    title: 'Named profile from the AWS shared credentials file'
+                },
+                access_key_id: {
+                    type: 'string',
+                    title: 'Access key id'
+                },
+                secret_access_key: {
+                    type: 'string',
+                    title: 'Secret access key'
+                },
+                role_arn: {
+                    type: 'string',
+                    title: 'ARN of a role to assume'
+                }
+            }
+        };
+    };
+
     const _plugin = {
         id: 'signalk-to-timestream',
         name: 'Amazon Timestream publisher',
@@ -386,11 +1338,180 @@ module.exports = function(app) {
                     type: 'string',
                     title: 'Timestream Table Name to Publish to'
                 },
+                backend: {
+                    type: 'string',
+                    title: 'Where to store the data',
+                    description: 'local keeps everything in files in the plugin data directory instead of timestream, for running without AWS',
+                    enum: ['timestream', 'local'],
+                    default: 'timestream'
+                },
+                provision: {
+                    type: 'boolean',
+                    title: 'Create the database and table if they don\'t exist',
+                    description: 'Also sets the retention of the table and enables magnetic store writes, so late data is accepted',
+                    default: false
+                },
+                memory_retention: {
+                    type: 'number',
+                    title: 'Memory store retention of the table (in hours)',
+                    default: 24
+                },
+                magnetic_retention: {
+                    type: 'number',
+                    title: 'Magnetic store retention of the table (in days)',
+                    default: 3650
+                },
+                dimensions: {
+                    type: 'array',
+                    title: 'Dimensions',
+                    description: 'Extra dimensions for every record, either a fixed value or the current value of a signalk path of the vessel, eg navigation.state or name',
+                    items: {
+                        type: 'object',
+                        required: ['name'],
+                        properties: {
+                            name: {
+                                type: 'string',
+                                title: 'Name of the dimension'
+                            },
+                            value: {
+                                type: 'string',
+                                title: 'Fixed value'
+                            },
+                            path: {
+                                type: 'string',
+                                title: 'Signalk path to take the value from, instead of a fixed value'
+                            }
+                        }
+                    }
+                },
+                timestamp_action: {
+                    type: 'string',
+                    title: 'What to do with values whose timestamp is invalid or too far from the server\'s time',
+                    description: 'correct uses the server\'s time instead, drop leaves them out',
+                    enum: ['correct', 'drop'],
+                    default: 'correct'
+                },
+                timestamp_max_age: {
+                    type: 'number',
+                    title: 'How far a timestamp may be behind the server\'s time (in minutes, 0 for no limit)',
+                    default: 60
+                },
+                timestamp_max_ahead: {
+                    type: 'number',
+                    title: 'How far a timestamp may be ahead of the server\'s time (in minutes, 0 for no limit)',
+                    default: 5
+                },
+                backfill_rate: {
+                    type: 'number',
+                    title: 'Most values per second to write when backfilling from data logs',
+                    default: 1000
+                },
+                track_enabled: {
+                    type: 'boolean',
+                    title: 'Simplify the track of navigation.position',
+                    description: 'Drops positions on a straight line or while stopped, keeping the turns',
+                    default: false
+                },
+                track_tolerance: {
+                    type: 'number',
+                    title: 'How far the simplified track may be from the positions dropped (in metres)',
+                    default: 10
+                },
+                track_min_distance: {
+                    type: 'number',
+                    title: 'Positions closer than this to the last one kept are dropped (in metres)',
+                    default: 5
+                },
+                track_max_interval: {
+                    type: 'number',
+                    title: 'Write a position at least this often (in minutes)',
+                    default: 15
+                },
+                track_anchor_watch_interval: {
+                    type: 'number',
+                    title: 'Write a position at least this often while at anchor (in seconds)',
+                    default: 60
+                },
+                trips_enabled: {
+                    type: 'boolean',
+                    title: 'Split the history into trips',
+                    description: 'Tags the records written during a trip with its id, and writes a summary of each trip',
+                    default: false
+                },
+                trip_start_speed: {
+                    type: 'number',
+                    title: 'Speed over ground that starts a trip (in knots)',
+                    default: 1
+                },
+                trip_stop_speed: {
+                    type: 'number',
+                    title: 'Speed over ground that ends a trip (in knots)',
+                    default: 0.5
+                },
+                trip_start_after: {
+                    type: 'number',
+                    title: 'How long to be moving before a trip starts (in minutes)',
+                    default: 2
+                },
+                trip_stop_after: {
+                    type: 'number',
+                    title: 'How long to be stopped, with the engines off, before a trip ends (in minutes)',
+                    default: 10
+                },
+                publish_stats: {
+                    type: 'boolean',
+                    title: 'Publish the plugin\'s own stats as signalk paths under plugins.timestream',
+                    default: false
+                },
+                record_stats: {
+                    type: 'boolean',
+                    title: 'Record the plugin\'s own stats in timestream too',
+                    default: false
+                },
+                region: {
+                    type: 'string',
+                    title: 'AWS region',
+                    description: 'For example us-east-1, leave empty to use the default from the environment or AWS config'
+                },
+                write_endpoint: {
+                    type: 'string',
+                    title: 'Custom ingest endpoint URL',
+                    description: 'Leave empty to discover the timestream ingest endpoint for the region, which setting it turns off'
+                },
+                query_endpoint: {
+                    type: 'string',
+                    title: 'Custom query endpoint URL',
+                    description: 'Leave empty to discover the timestream query endpoint for the region, which setting it turns off'
+                },
+                write_credentials: _credentials_schema('Credentials for writing',
+                    'Leave empty to use the default credentials from the environment, AWS config or instance role'),
+                read_credentials: _credentials_schema('Credentials for querying history',
+                    'Leave empty to use the credentials for writing'),
                 write_interval: {
                     type: 'number',
                     title: 'Frequency to push updates (in seconds)',
                     default: 60
                 },
+                multi_measure: {
+                    type: 'boolean',
+                    title: 'Write composite values, like navigation.position, as a single multi-measure record',
+                    default: false
+                },
+                write_meta: {
+                    type: 'boolean',
+                    title: 'Write the signalk meta (units, description, display names and zones) of the paths',
+                    default: true
+                },
+                contexts: {
+                    title: 'SignalK Contexts',
+                    description: 'A list of contexts to record, for example vessels.self or vessels.* to include AIS targets',
+                    type: 'array',
+                    default: ['vessels.self'],
+                    items: {
+                        type: 'string',
+                        title: 'Context'
+                    }
+                },
                 filter_list_type: {
                     type: 'string',
                     title: 'Type of List',
@@ -407,6 +1528,91 @@ module.exports = function(app) {
                         type: 'string',
                         title: 'Path'
                     }
+                },
+                aggregations: {
+                    title: 'Statistics',
+                    description: 'Besides the last value, write these statistics for each write interval for paths matching the glob, the first matching glob wins',
+                    type: 'array',
+                    default: [],
+                    items: {
+                        type: 'object',
+                        required: ['path'],
+                        properties: {
+                            path: {
+                                type: 'string',
+                                title: 'Path'
+                            },
+                            statistics: {
+                                type: 'array',
+                                title: 'Statistics',
+                                uniqueItems: true,
+                                default: aggregate.STATISTICS,
+                                items: {
+                                    type: 'string',
+                                    enum: aggregate.STATISTICS
+                                }
+                            }
+                        }
+                    }
+                },
+                write_rules: {
+                    title: 'Write Rules',
+                    description: 'Per-path write intervals and deadbands, the first rule with a matching glob wins, other paths use the write interval above',
+                    type: 'array',
+                    default: [],
+                    items: {
+                        type: 'object',
+                        required: ['path'],
+                        properties: {
+                            path: {
+                                type: 'string',
+                                title: 'Path'
+                            },
+                            interval: {
+                                type: 'number',
+                                title: 'Frequency to push updates (in seconds)'
+                            },
+                            change_only: {
+                                type: 'boolean',
+                                title: 'Only write when the value changes',
+                                default: false
+                            },
+                            deadband_absolute: {
+                                type: 'number',
+                                title: 'Skip changes smaller than this (in the units of the path)',
+                                default: 0
+                            },
+                            deadband_relative: {
+                                type: 'number',
+                                title: 'Skip changes smaller than this fraction of the last value written (0.01 is 1%)',
+                                default: 0
+                            },
+                            max_silence: {
+                                type: 'number',
+                                title: 'Write at least this often, even if unchanged (in seconds)'
+                            }
+                        }
+                    }
+                },
+                history_lookback: {
+                    type: 'number',
+                    title: 'How far back to look for the latest value of a path in history snapshots (in hours)',
+                    default: 24
+                },
+                spool_enabled: {
+                    type: 'boolean',
+                    title: 'Spool failed writes to disk and retry them later',
+                    default: true
+                },
+                spool_max_size: {
+                    type: 'number',
+                    title: 'Maximum size of the spool (in MB)',
+                    default: 100
+                },
+                spool_max_age: {
+                    type: 'number',
+                    title: 'Maximum age of spooled writes (in hours)',
+                    default: 168
                 }
             }
         },
@@ -416,6 +1622,7 @@ module.exports = function(app) {
         getHistory: _get_history,
         streamHistory: _stream_history,
         hasAnyData: _has_any_data,
+        registerWithRouter: _register_with_router,
     };
 
     return _plugin;
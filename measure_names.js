@@ -0,0 +1,128 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const _ = require('lodash');
+
+// Composite values are stored as a measure per leaf value, and the measure
+// name has to say where the leaf was in the original value so we can put it
+// back together.  Signalk paths use '.', so we can't, instead the keys are
+// encoded after the path:
+//
+//  - an object key is '/' followed by the key
+//  - an array index is '[' followed by the index and ']'
+//
+// and '~', '/' and '[' in keys are escaped as '~0', '~1' and '~2'.
+//
+// ex: navigation.position          {"latitude":1,"longitude":2}
+//  -> navigation.position/latitude  1
+//     navigation.position/longitude 2
+//
+// ex: environment.inside.bilge     {"sensors":[{"wet":true}]}
+//  -> environment.inside.bilge/sensors[0]/wet true
+
+let _escape = function(key) {
+    return key.replace(/~/g, '~0').replace(/\//g, '~1').replace(/\[/g, '~2');
+};
+
+let _unescape = function(key) {
+    return key.replace(/~2/g, '[').replace(/~1/g, '/').replace(/~0/g, '~');
+};
+
+// keys is a list of strings (object keys) and numbers (array indexes)
+let _encode_keys = function(keys) {
+    return keys.map(function(key) {
+        return typeof(key) == 'number' ? `[${key}]` : `/${_escape(key)}`;
+    }).join('');
+};
+
+let _decode_keys = function(encoded) {
+    const matches = encoded.match(/\/[^/[]*|\[\d+\]/g) || [];
+    return matches.map(function(segment) {
+        if (segment.startsWith('[')) {
+            return parseInt(segment.slice(1, -1));
+        }
+        return _unescape(segment.slice(1));
+    });
+};
+
+let _encode = function(path, keys) {
+    return `${path}${_encode_keys(keys)}`;
+};
+
+// returns { path, keys }, where keys is empty if the measure was not part of
+// a composite value
+let _decode = function(name) {
+    const idx = name.search(/[/[]/);
+    if (idx == -1) {
+        return { path: name, keys: [] };
+    }
+    return { path: name.slice(0, idx), keys: _decode_keys(name.slice(idx)) };
+};
+
+// the sub-measures of a multi-measure record are relative to the path, and
+// the leading '/' is dropped to keep simple keys readable
+let _encode_sub_measure = function(keys) {
+    return _encode_keys(keys).replace(/^\//, '');
+};
+
+let _decode_sub_measure = function(name) {
+    return _decode_keys(name.startsWith('[') ? name : `/${name}`);
+};
+
+// returns a list of { keys, value } for each leaf in value
+let _flatten = function(value, keys) {
+    keys = keys || [];
+
+    if (Array.isArray(value)) {
+        return _.flatten(value.map((v, i) => _flatten(v, keys.concat([i]))));
+    } else if (_.isPlainObject(value)) {
+        return _.flatten(Object.entries(value).map(e => _flatten(e[1], keys.concat([e[0]]))));
+    } else {
+        return [{ keys: keys, value: value }];
+    }
+};
+
+// the reverse of flatten, given a list of { keys, value }
+let _unflatten = function(leaves) {
+    const root = leaves.find(leaf => leaf.keys.length == 0);
+    if (root) {
+        return root.value;
+    }
+
+    let result = typeof(leaves[0].keys[0]) == 'number' ? [] : {};
+    leaves.forEach(function(leaf) {
+        let node = result;
+        leaf.keys.forEach(function(key, i) {
+            if (i == leaf.keys.length - 1) {
+                node[key] = leaf.value;
+                return;
+            }
+            if (_.isUndefined(node[key])) {
+                node[key] = typeof(leaf.keys[i + 1]) == 'number' ? [] : {};
+            }
+            node = node[key];
+        });
+    });
+    return result;
+};
+
+module.exports = {
+    encode: _encode,
+    decode: _decode,
+    encode_sub_measure: _encode_sub_measure,
+    decode_sub_measure: _decode_sub_measure,
+    flatten: _flatten,
+    unflatten: _unflatten
+};
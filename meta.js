@@ -0,0 +1,127 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const trace = require('debug')('signalk-to-timestream:meta:trace');
+const _ = require('lodash');
+
+// meta is written as a measure named after the path with this in front, which
+// can't be mistaken for a signalk path
+const PREFIX = 'meta:';
+
+// the parts of signalk meta we keep, zones being a list kept as json
+const FIELDS = ['units', 'description', 'displayName', 'shortName', 'longName', 'zones'];
+
+// meta is written again this often, so there's some in any time range that
+// starts no more than this before it
+const REFRESH_INTERVAL = 60 * 60 * 1000;
+
+let _measure_name = function(path) {
+    return `${PREFIX}${path}`;
+};
+
+let _is_meta = function(measure_name) {
+    return measure_name.startsWith(PREFIX);
+};
+
+let _path_of = function(measure_name) {
+    return measure_name.slice(PREFIX.length);
+};
+
+// the fields of the meta we keep, as strings, or undefined if there are none
+let _to_stored = function(meta) {
+    if (!_.isObject(meta)) {
+        return undefined;
+    }
+    let stored = {};
+    FIELDS.forEach(function(field) {
+        if (field === 'zones' && _.isArray(meta.zones) && meta.zones.length > 0) {
+            stored.zones = JSON.stringify(meta.zones);
+        } else if (_.isString(meta[field]) && meta[field].length > 0) {
+            stored[field] = meta[field];
+        }
+    });
+    return _.isEmpty(stored) ? undefined : stored;
+};
+
+let _from_stored = function(stored) {
+    if (!_.isObject(stored)) {
+        return undefined;
+    }
+    let meta = _.pick(stored, FIELDS);
+    if (_.isString(meta.zones)) {
+        try {
+            meta.zones = JSON.parse(meta.zones);
+        } catch (err) {
+            delete meta.zones;
+        }
+    }
+    return meta;
+};
+
+// Keeps track of the signalk meta (units, description, display names and
+// zones) of the paths being written, so it can be written alongside them, as
+// a multi-measure record for each context and path, when it's first seen,
+// when it changes, and every REFRESH_INTERVAL of the data's time after that.
+// Live data and backfilled data are kept apart, since their times are far
+// apart.
+//
+// get_meta: function(context, path) returning the path's signalk meta
+//
+// Returns { changed(points, historical) }, which returns points for the meta
+// that should be written along with the points.
+module.exports = function(get_meta) {
+    // key = historical/context/path, value = { stored (as json), time }
+    let _written = {};
+
+    let _changed = function(points, historical) {
+        let meta_points = {};
+        points.forEach(function(point) {
+            const key = `${!!historical}/${point.context}/${point.name}`;
+            const stored = _to_stored(get_meta(point.context, point.name));
+            if (_.isUndefined(stored) || meta_points[key]) {
+                return;
+            }
+
+            const json = JSON.stringify(stored);
+            const written = _written[key];
+            if (written && written.stored === json && Math.abs(point.timestamp - written.time) < REFRESH_INTERVAL) {
+                return;
+            }
+
+            trace(`writing meta of ${point.context} ${point.name}`);
+            _written[key] = { stored: json, time: point.timestamp };
+            meta_points[key] = {
+                context: point.context,
+                name: _measure_name(point.name),
+                value: stored,
+                timestamp: point.timestamp,
+                meta: true
+            };
+        });
+        return Object.values(meta_points);
+    };
+
+    return {
+        changed: _changed
+    };
+};
+
+module.exports.PREFIX = PREFIX;
+module.exports.FIELDS = FIELDS;
+module.exports.REFRESH_INTERVAL = REFRESH_INTERVAL;
+module.exports.measure_name = _measure_name;
+module.exports.is_meta = _is_meta;
+module.exports.path_of = _path_of;
+module.exports.from_stored = _from_stored;
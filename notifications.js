@@ -0,0 +1,83 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const trace = require('debug')('signalk-to-timestream:notifications:trace');
+const _ = require('lodash');
+
+let _is_notification = function(path) {
+    return /^notifications\./.test(path);
+};
+
+// the fields of the event, as typed sub-measures.  method is a list like
+// ["visual", "sound"], which is stored comma separated.  A notification set
+// to null has been cleared, which is as good as normal.
+let _event_value = function(value) {
+    if (_.isNull(value) || !_.isObject(value)) {
+        return { state: 'normal' };
+    }
+
+    let event = { state: _.isString(value.state) ? value.state : 'normal' };
+    if (_.isString(value.message)) {
+        event.message = value.message;
+    }
+    if (_.isArray(value.method) && value.method.length > 0) {
+        event.method = value.method.join(',');
+    }
+    return event;
+};
+
+// the notification value as signalk has it, from an event read back, with
+// method a list again
+let _from_stored = function(value) {
+    if (!_.isObject(value) || !_.isString(value.method)) {
+        return value;
+    }
+    return Object.assign({}, value, { method: value.method.split(',') });
+};
+
+// Turns notification values into events, one for each change of state of
+// each notification of each context, rather than the last value in an
+// interval, so an alarm that came and went between writes is still recorded.
+//
+// The first value seen for a notification is only an event if it's not
+// normal, so a restart doesn't log every notification that's quiet.
+//
+// Returns { transition(point) }, which returns the event for a notification
+// point, or undefined if its state hasn't changed.
+module.exports = function() {
+    // key = context/path, value = the last state
+    let _states = {};
+
+    let _transition = function(point) {
+        const key = `${point.context}/${point.name}`;
+        const value = _event_value(point.value);
+        const previous = _states[key];
+        _states[key] = value.state;
+
+        if (previous === value.state || (_.isUndefined(previous) && value.state === 'normal')) {
+            return undefined;
+        }
+
+        trace(`${key} ${previous} -> ${value.state}`);
+        return Object.assign({}, point, { value: value, event: true });
+    };
+
+    return {
+        transition: _transition
+    };
+};
+
+module.exports.is_notification = _is_notification;
+module.exports.from_stored = _from_stored;
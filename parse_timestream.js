@@ -16,6 +16,10 @@
 const trace = require('debug')('signalk-to-timestream:parse_timestream:trace');
 const _ = require('lodash');
 
+const measure_names = require('./measure_names');
+const meta = require('./meta');
+const notifications = require('./notifications');
+
 /*
 {
   "QueryId": "AEDACAMXZ5LXWH5BTZB77IYJJ366FPX4SUYY43DVEEWSTM4V5CEHUOAG7IQC6VY",
@@ -76,49 +80,152 @@ const _ = require('lodash');
 */
 
 
-let _build_mapper = function(columns) {
+// the columns that describe a row, rather than hold a value
+const DIMENSIONS = ['context', 'source', 'statistic'];
+const MEASURE_COLUMNS = ['measure_name', 'time'];
+
+let _scalar_to_value = function(type, scalar) {
+    if (_.isUndefined(scalar)) {
+        return undefined;
+    }
+
+    switch (type) {
+        case 'DOUBLE':
+            return parseFloat(scalar);
+        case 'BIGINT':
+            return parseInt(scalar);
+        case 'BOOLEAN':
+            return scalar === 'true';
+        default:
+            return scalar;
+    }
+};
+
+// timestream times look like "2020-10-17 16:59:50.892000000" and are UTC,
+// which Date won't parse as UTC on its own
+let _parse_time = function(time) {
+    const match = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2})(\.\d{1,3})?/.exec(time);
+    if (!match) {
+        return new Date(time);
+    }
+    return new Date(`${match[1]}T${match[2]}${match[3] || ''}Z`);
+};
+
+let _build_mapper = function(columns, dimensions) {
     let _get_column_idx = function(columns, name) {
         return _.findIndex(columns, col => col.Name === name);
     };
 
+    // columns that aren't in the result, and null values, are undefined
     let _get_field = function(i, data) {
+        if (i == -1) {
+            return undefined;
+        }
         return data[i].ScalarValue;
     };
 
+    const _context_idx = _get_column_idx(columns, 'context');
+    const _source_idx = _get_column_idx(columns, 'source');
+    const _statistic_idx = _get_column_idx(columns, 'statistic');
     const _measure_idx = _get_column_idx(columns, 'measure_name');
     const _time_idx = _get_column_idx(columns, 'time');
-    const _double_idx = _get_column_idx(columns, 'measure_value::double');
-    const _varchar_idx = _get_column_idx(columns, 'measure_value::varchar');
+
+    let _to_column = function(col, i) {
+        return { name: col.Name, type: col.Type.ScalarType, idx: i };
+    };
+
+    // single measure rows have a value in one of the measure_value::<type>
+    // columns, eg measure_value::double or measure_value::boolean
+    const _single_columns = columns
+        .map(_to_column)
+        .filter(col => col.name.startsWith('measure_value::'));
+
+    // every column that isn't a dimension or a single measure value is a
+    // sub-measure of a multi-measure record
+    const _multi_columns = columns
+        .map(_to_column)
+        .filter(col => !DIMENSIONS.includes(col.name) &&
+                !dimensions.includes(col.name) &&
+                !MEASURE_COLUMNS.includes(col.name) &&
+                !col.name.startsWith('measure_value::'));
+
+    // for a multi-measure row, rebuild the original object from the
+    // sub-measures that have a value
+    let _get_multi_value = function(data) {
+        const leaves = _multi_columns
+            .map(function(col) {
+                return {
+                    keys: measure_names.decode_sub_measure(col.name),
+                    value: _scalar_to_value(col.type, _get_field(col.idx, data))
+                };
+            })
+            .filter(leaf => !_.isUndefined(leaf.value));
+
+        if (leaves.length == 0) {
+            return undefined;
+        }
+        return measure_names.unflatten(leaves);
+    };
 
     let _get_value = function(data) {
-        const value_double = _get_field(_double_idx, data);
-        const value_varchar = _get_field(_varchar_idx, data);
+        const single_column = _single_columns.find(col => !_.isUndefined(_get_field(col.idx, data)));
 
-        if (value_double) {
-            return parseFloat(value_double);
+        if (single_column) {
+            return _scalar_to_value(single_column.type, _get_field(single_column.idx, data));
         } else {
-            return value_varchar;
+            return _get_multi_value(data);
         }
     };
 
+    // older versions of the plugin only wrote self, and stored the bare self
+    // id as the context
+    let _get_context = function(data) {
+        const context = _get_field(_context_idx, data);
+        return context.includes('.') ? context : `vessels.${context}`;
+    };
+
     return {
+        get_context: _get_context,
+        // the source dimension only exists once something was written with a
+        // source, and older rows won't have it
+        get_source: function(data) { return _get_field(_source_idx, data); },
+        // only rows written with statistics have this, the plain rows are
+        // the last value in the interval
+        get_statistic: function(data) { return _get_field(_statistic_idx, data); },
         get_measure_name: function(data) { return _get_field(_measure_idx, data); },
-        get_timestamp: function(data) { return new Date(_get_field(_time_idx, data)); },
+        get_timestamp: function(data) { return _parse_time(_get_field(_time_idx, data)); },
         get_value: _get_value
     };
 };
 
 let _parse = function(mapper, data) {
-    const measure_name = mapper.get_measure_name(data);
+    const context = mapper.get_context(data);
+    const source = mapper.get_source(data);
+    const measure_name = measure_names.decode(mapper.get_measure_name(data));
     const timestamp = mapper.get_timestamp(data);
     const value = mapper.get_value(data);
 
-    // TODO: assumes that we don't have source data, so we are going to set
-    // signalk-to-timestream as the source
+    // the meta of a path goes in the update's meta, rather than its values
+    if (meta.is_meta(measure_name.path)) {
+        return {
+            context: context,
+            timestamp: timestamp.toISOString(),
+            meta: [{
+                path: meta.path_of(measure_name.path),
+                value: meta.from_stored(value)
+            }]
+        };
+    }
+
+    // keys is only set if this is a leaf of a composite value, which
+    // _lift_values puts back together
     const update = {
+        context: context,
+        $source: source,
         timestamp: timestamp.toISOString(),
         values: [{
-            path: measure_name,
+            path: measure_name.path,
+            keys: measure_name.keys,
             value: value
         }]
     };
@@ -126,13 +233,15 @@ let _parse = function(mapper, data) {
     return update;
 };
 
-// given: 
+// given updates that all have the same timestamp and source:
 //  [
 //      {
+//          "$source":"rpi.cpu",
 //          "timestamp":"2020-10-17T16:55:29.162Z",
 //          "values":[{"path":"environment.rpi.cpu.utilisation","value":0.07}]
 //      },
 //      {
+//          "$source":"rpi.cpu",
 //          "timestamp":"2020-10-17T16:55:29.162Z",
 //          "values":[{"path":"environment.rpi.cpu.temperature","value":329.53}]
 //      },
@@ -141,24 +250,36 @@ let _parse = function(mapper, data) {
 //
 // returns:
 //
-//  [
-//      {
-//          "timestamp":"2020-10-17T16:55:29.162Z",
-//          "values":[
-//              {"path":"environment.rpi.cpu.utilisation","value":0.07},
-//              {"path":"environment.rpi.cpu.temperature","value":329.53},
-//              ...
-//          ]
-//      }
-//  ]
-let _lift_values = function(entry) {
-    const timestamp = entry[0];
-    const update_list = entry[1];
+//  {
+//      "$source":"rpi.cpu",
+//      "timestamp":"2020-10-17T16:55:29.162Z",
+//      "values":[
+//          {"path":"environment.rpi.cpu.utilisation","value":0.07},
+//          {"path":"environment.rpi.cpu.temperature","value":329.53},
+//          ...
+//      ]
+//  }
+let _lift_values = function(update_list) {
+    const timestamp = update_list[0].timestamp;
+    const source = update_list[0].$source;
     const values_nested_list = update_list.map(u => u.values);
     let   flattened_values = _.flatten(values_nested_list);
 
+    // put the leaves of composite values back together into a single value
+    // for the path
+    const values_by_path = _.groupBy(flattened_values, v => v.path);
+    flattened_values = _.map(Object.entries(values_by_path), function(entry) {
+        const value = measure_names.unflatten(entry[1]);
+        return {
+            path: entry[0],
+            // notification events keep their method as a string
+            value: notifications.is_notification(entry[0]) ? notifications.from_stored(value) : value
+        };
+    });
+
     // Ugh, find lat/long which are separate datapoints and recombine them,
-    // since that's what signalk wants.
+    // since that's what signalk wants.  Multi-measure records don't need
+    // this, but position used to be written as single measures.
     const latitude  = flattened_values.find(v => v.path === 'navigation.position.latitude');
     const longitude = flattened_values.find(v => v.path === 'navigation.position.longitude');
 
@@ -182,24 +303,69 @@ let _lift_values = function(entry) {
         });
     }
 
+    // data written before sources were recorded doesn't have one, so we'll
+    // claim it as ours
+    if (_.isUndefined(source)) {
+        return {
+            source: {
+                label: 'signalk-to-timestream'
+            },
+            timestamp: timestamp,
+            values: flattened_values
+        };
+    }
+
     return {
-        source: {
-            label: 'signalk-to-timestream'
-        },
+        $source: source,
         timestamp: timestamp,
         values: flattened_values
     };
 };
 
-// TODO: assumes that only self was archived
-module.exports = function(self_id, result) {
-    const mapper = _build_mapper(result.ColumnInfo);
-    const parsed_updates = result.Rows.map(row => _parse(mapper, row.Data));
-    const updates_by_time = _.groupBy(parsed_updates, u => u.timestamp);
-    const updates = _.map(Object.entries(updates_by_time), u => _lift_values(u));
+// Rows for the statistics (min, max, ...) of an interval are written alongside
+// the plain row for the last value, at the same time.  They're only used by
+// the aggregates of /history/values, so keep just the plain rows.
+let _plain_rows = function(mapper, rows) {
+    return rows.filter(data => _.isUndefined(mapper.get_statistic(data)));
+};
+
+// the meta rows at the same time, as a single update
+let _lift_meta = function(update_list) {
+    return {
+        timestamp: update_list[0].timestamp,
+        meta: _.flatten(update_list.map(u => u.meta))
+    };
+};
+
+// returns one delta per context found in the result, where the meta of paths
+// is in updates of its own
+let _build_delta = function(entry) {
+    const context = entry[0];
+    const parsed_updates = entry[1].filter(u => !u.meta);
+    const parsed_meta = entry[1].filter(u => u.meta);
+    // each original update had a single timestamp and source
+    const updates_by_time_and_source = _.groupBy(parsed_updates, u => `${u.timestamp}/${u.$source}`);
+    const meta_by_time = _.groupBy(parsed_meta, u => u.timestamp);
+    const updates = _.sortBy(_.map(Object.values(updates_by_time_and_source), _lift_values)
+        .concat(_.map(Object.values(meta_by_time), _lift_meta)), u => u.timestamp);
 
     return {
-        context: `vessels.${self_id}`,
+        context: context,
         updates: updates
     };
 };
+
+// options:
+//  dimensions: names of any other dimension columns in the table, so they
+//      aren't mistaken for sub-measures of multi-measure records
+module.exports = function(result, options) {
+    options = options || {};
+    const mapper = _build_mapper(result.ColumnInfo, options.dimensions || []);
+    const rows = _plain_rows(mapper, result.Rows.map(row => row.Data));
+    const parsed_updates = rows.map(data => _parse(mapper, data));
+    const updates_by_context = _.groupBy(parsed_updates, u => u.context);
+
+    return _.map(Object.entries(updates_by_context), _build_delta);
+};
+
+module.exports.parse_time = _parse_time;
@@ -0,0 +1,298 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const debug = require('debug')('signalk-to-timestream:playback');
+const trace = require('debug')('signalk-to-timestream:playback:trace');
+const _ = require('lodash');
+
+// Plays back history from a start time at a rate.
+//
+// The playhead is the time in the data that we're at, which moves at rate
+// times the wall clock.  Ahead of the playhead we keep a buffer of updates,
+// fetched in chunks, one query at a time, so they arrive in order.  Each
+// update is emitted when the playhead reaches its timestamp.
+//
+// options:
+//  start_time: where to start playing from
+//  rate: how fast to play, 1 is real time
+//  query_range: function(start, end, on_deltas) that queries the updates in
+//      [start, end) and returns { done, cancel }
+//  next_time: function(after, before) that returns a promise of the time of
+//      the first data at or after after, and before before, or undefined if
+//      there's none
+//  on_delta: function(deltas) called with each update
+//  on_end: function() called when we've played everything
+module.exports = function(options) {
+    // how far ahead of the playhead to fetch, in data time
+    const _min_chunk = 60 * 1000;
+    const _chunk_wall_time = 30 * 1000;
+    // how long to wait at most before checking whether to fetch more
+    const _max_sleep = 1000;
+    // how long to wait before fetching again after a fetch failed, doubling
+    // with each failure in a row
+    const _min_retry_delay = 1000;
+    const _max_retry_delay = 60 * 1000;
+
+    let _rate = options.rate || 1;
+    let _paused = false;
+    let _stopped = false;
+
+    // the playhead is at _anchor_time in the data at wall clock _anchor_wall
+    let _anchor_time;
+    let _anchor_wall;
+
+    // updates in time order, as { time, delta }
+    let _buffer = [];
+    // the buffer holds everything before this time
+    let _fetched_until;
+    let _fetch;
+    let _end_of_data = false;
+    // fetches that failed in a row, and when we can try again
+    let _failures = 0;
+    let _retry_at = 0;
+    // incremented on seek, so results of older fetches are ignored
+    let _generation = 0;
+
+    let _timer;
+
+    let _playhead = function() {
+        if (_paused) {
+            return _anchor_time;
+        }
+        return _anchor_time + (Date.now() - _anchor_wall) * _rate;
+    };
+
+    let _set_anchor = function(time) {
+        _anchor_time = time;
+        _anchor_wall = Date.now();
+    };
+
+    let _chunk_size = function() {
+        return Math.max(_min_chunk, _chunk_wall_time * _rate);
+    };
+
+    // queue each update in the deltas on its own, so it can be emitted at its
+    // own time
+    let _add_to_buffer = function(deltas) {
+        deltas.forEach(function(delta) {
+            delta.updates.forEach(function(update) {
+                _buffer.push({
+                    time: Date.parse(update.timestamp),
+                    delta: {
+                        context: delta.context,
+                        updates: [update]
+                    }
+                });
+            });
+        });
+    };
+
+    // look for the next data in [after, after + window), and then in windows
+    // twice as long each time, up to now, so the query never has to scan the
+    // rest of the table
+    let _find_next = function(generation, after, window) {
+        const now = Date.now();
+        const before = new Date(Math.min(after.getTime() + window, now));
+        if (after.getTime() >= now) {
+            debug(`end of data after ${after.toISOString()}`);
+            _end_of_data = true;
+            return Promise.resolve();
+        }
+
+        return options.next_time(after, before).then(function(next) {
+            if (generation != _generation) {
+                return;
+            }
+            if (_.isUndefined(next)) {
+                // nothing in this window either, so skip over it
+                _fetched_until = Math.max(_fetched_until, before.getTime());
+                return _find_next(generation, before, window * 2);
+            }
+            _fetched_until = Math.max(_fetched_until, next.getTime());
+        });
+    };
+
+    let _fetch_more = function() {
+        if (_fetch || _end_of_data || _stopped || Date.now() < _retry_at) {
+            return;
+        }
+        if (_fetched_until - _playhead() > _chunk_size() / 2) {
+            return;
+        }
+
+        const generation = _generation;
+        const start = new Date(_fetched_until);
+        const end = new Date(_fetched_until + _chunk_size());
+        trace(`fetching ${start.toISOString()} to ${end.toISOString()}`);
+
+        let count = 0;
+        const fetch = options.query_range(start, end, function(deltas) {
+            if (generation == _generation) {
+                const before = _buffer.length;
+                _add_to_buffer(deltas);
+                count += _buffer.length - before;
+            }
+        });
+        _fetch = fetch;
+
+        fetch.done
+            .then(function() {
+                if (generation != _generation) {
+                    return;
+                }
+                _fetched_until = end.getTime();
+                _failures = 0;
+
+                // nothing in this chunk, so rather than step through a gap
+                // in the data a chunk at a time, skip to the next data
+                if (count > 0) {
+                    return;
+                }
+                return _find_next(generation, end, 2 * _chunk_size());
+            })
+            .catch(err => {
+                debug(err);
+                if (generation != _generation) {
+                    return;
+                }
+                // back off, so we don't hammer timestream while we can't
+                // reach it or aren't allowed to query it
+                _failures += 1;
+                const delay = Math.min(_max_retry_delay, _min_retry_delay * Math.pow(2, _failures - 1));
+                debug(`fetch failed ${_failures} times in a row, trying again in ${delay} ms`);
+                _retry_at = Date.now() + delay;
+            })
+            .then(function() {
+                if (_fetch === fetch) {
+                    _fetch = undefined;
+                }
+                _schedule(0);
+            });
+    };
+
+    let _tick = function() {
+        _timer = undefined;
+        if (_stopped) {
+            return;
+        }
+
+        if (!_paused) {
+            const playhead = _playhead();
+            while (_buffer.length > 0 && _buffer[0].time <= playhead) {
+                options.on_delta([_buffer.shift().delta]);
+                // on_delta may have stopped us
+                if (_stopped) {
+                    return;
+                }
+            }
+
+            if (_end_of_data && _buffer.length == 0) {
+                debug('played all the data');
+                _stop();
+                options.on_end();
+                return;
+            }
+        }
+
+        _fetch_more();
+
+        // sleep until the next update is due, but not so long we miss
+        // fetching the next chunk
+        let sleep = _max_sleep;
+        if (!_paused && _buffer.length > 0) {
+            sleep = Math.min(sleep, Math.max(0, (_buffer[0].time - _playhead()) / _rate));
+        }
+        _schedule(sleep);
+    };
+
+    let _schedule = function(sleep) {
+        if (_stopped) {
+            return;
+        }
+        if (_timer) {
+            clearTimeout(_timer);
+        }
+        _timer = setTimeout(_tick, sleep);
+    };
+
+    let _seek = function(time) {
+        debug(`seek to ${time.toISOString()}`);
+
+        _generation += 1;
+        if (_fetch) {
+            _fetch.cancel();
+            _fetch = undefined;
+        }
+        _buffer = [];
+        _end_of_data = false;
+        _fetched_until = time.getTime();
+        _set_anchor(time.getTime());
+        _schedule(0);
+    };
+
+    let _set_rate = function(rate) {
+        debug(`rate ${rate}`);
+
+        // keep the playhead where it is, and move at the new rate from here
+        _set_anchor(_playhead());
+        _rate = rate;
+        _schedule(0);
+    };
+
+    let _pause = function() {
+        if (_paused) {
+            return;
+        }
+        debug('pause');
+        _set_anchor(_playhead());
+        _paused = true;
+    };
+
+    let _resume = function() {
+        if (!_paused) {
+            return;
+        }
+        debug('resume');
+        _paused = false;
+        _set_anchor(_anchor_time);
+        _schedule(0);
+    };
+
+    let _stop = function() {
+        _stopped = true;
+        if (_timer) {
+            clearTimeout(_timer);
+            _timer = undefined;
+        }
+        if (_fetch) {
+            _fetch.cancel();
+            _fetch = undefined;
+        }
+        _buffer = [];
+    };
+
+    _seek(options.start_time);
+
+    return {
+        pause: _pause,
+        resume: _resume,
+        seek: _seek,
+        set_rate: _set_rate,
+        stop: _stop,
+        position: function() { return new Date(_playhead()); },
+        rate: function() { return _rate; },
+        is_paused: function() { return _paused; }
+    };
+};
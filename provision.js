@@ -0,0 +1,130 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const debug = require('debug')('signalk-to-timestream:provision');
+
+// Make sure the database and table exist, creating them with the retention
+// we want if they don't, and that the table has magnetic store writes
+// enabled, so late data (from the spool, say) isn't rejected for being older
+// than the memory store retention.  The retention of an existing table is
+// left alone, since shortening it would delete data for good.
+//
+// options:
+//  database: the name of the database
+//  table: the name of the table
+//  memory_retention: hours to keep data in the memory store
+//  magnetic_retention: days to keep data in the magnetic store
+//
+// Returns a promise of the table's retention, as { memory_retention,
+// magnetic_retention }, that rejects with an error explaining what's wrong,
+// for showing to the user.
+module.exports = function(timestream_write, options) {
+    const retention = {
+        MemoryStoreRetentionPeriodInHours: options.memory_retention,
+        MagneticStoreRetentionPeriodInDays: options.magnetic_retention
+    };
+    const magnetic_store_writes = {
+        EnableMagneticStoreWrites: true
+    };
+
+    let _call = function(operation, params, description) {
+        return new Promise((resolve, reject) => {
+            timestream_write[operation](params, function(err, data) {
+                if (err) {
+                    debug(`${operation} failed: ${err}`);
+                    reject(_explain(err, description));
+                } else {
+                    resolve(data);
+                }
+            });
+        });
+    };
+
+    // turn the aws error into something the user can act on
+    let _explain = function(err, description) {
+        let reason;
+        if (err.code === 'AccessDeniedException') {
+            reason = 'permission denied, check the IAM policy';
+        } else if (err.code === 'ValidationException') {
+            reason = `invalid request, check the names and retention (${err.message})`;
+        } else {
+            reason = err.message || err.code;
+        }
+
+        let explained = new Error(`could not ${description}: ${reason}`);
+        explained.code = err.code;
+        explained.retryable = err.retryable;
+        return explained;
+    };
+
+    let _is_not_found = function(err) {
+        return err.code === 'ResourceNotFoundException';
+    };
+
+    let _database = function() {
+        const params = { DatabaseName: options.database };
+        return _call('describeDatabase', params, `describe database ${options.database}`)
+            .catch(function(err) {
+                if (!_is_not_found(err)) {
+                    throw err;
+                }
+                debug(`creating database ${options.database}`);
+                return _call('createDatabase', params, `create database ${options.database}`);
+            });
+    };
+
+    let _to_result = function(table_retention) {
+        return {
+            memory_retention: table_retention.MemoryStoreRetentionPeriodInHours,
+            magnetic_retention: table_retention.MagneticStoreRetentionPeriodInDays
+        };
+    };
+
+    let _table = function() {
+        const name = `${options.database}.${options.table}`;
+        const params = { DatabaseName: options.database, TableName: options.table };
+
+        return _call('describeTable', params, `describe table ${name}`)
+            .then(function(data) {
+                const current = data.Table.RetentionProperties || {};
+                if (current.MemoryStoreRetentionPeriodInHours != retention.MemoryStoreRetentionPeriodInHours ||
+                        current.MagneticStoreRetentionPeriodInDays != retention.MagneticStoreRetentionPeriodInDays) {
+                    debug(`table ${name} keeps its retention of ${current.MemoryStoreRetentionPeriodInHours} hours ` +
+                        `and ${current.MagneticStoreRetentionPeriodInDays} days, rather than the configured ` +
+                        `${retention.MemoryStoreRetentionPeriodInHours} hours and ${retention.MagneticStoreRetentionPeriodInDays} days`);
+                }
+
+                const magnetic = data.Table.MagneticStoreWriteProperties || {};
+                if (magnetic.EnableMagneticStoreWrites) {
+                    return _to_result(current);
+                }
+                debug(`enabling magnetic store writes on table ${name}`);
+                return _call('updateTable', Object.assign({
+                    MagneticStoreWriteProperties: magnetic_store_writes
+                }, params), `update table ${name}`).then(() => _to_result(current));
+            }, function(err) {
+                if (!_is_not_found(err)) {
+                    throw err;
+                }
+                debug(`creating table ${name}`);
+                return _call('createTable', Object.assign({
+                    RetentionProperties: retention,
+                    MagneticStoreWriteProperties: magnetic_store_writes
+                }, params), `create table ${name}`).then(() => _to_result(retention));
+            });
+    };
+
+    return _database().then(_table);
+};
@@ -0,0 +1,347 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const _ = require('lodash');
+
+const glob = require('./glob');
+const meta = require('./meta');
+
+// Builders for the SQL we send to timestream.  table is the already quoted
+// "database"."table".
+//
+// The rest of the plugin doesn't build SQL directly, it asks for a query by
+// the name of its builder and the arguments after the table, eg
+// query('time_range', start_time, end_time).  The timestream backend turns
+// that into SQL with to_sql, and other backends answer the same queries their
+// own way (see backends/).
+
+let _quote_string = function(value) {
+    return `'${value.replace(/'/g, "''")}'`;
+};
+
+let _quote_identifier = function(name) {
+    return `"${name.replace(/"/g, '""')}"`;
+};
+
+let _timestamp = function(time) {
+    return `from_iso8601_timestamp('${time.toISOString()}')`;
+};
+
+// a regex matching the measure names for any of the path globs, including
+// the leaves of composite values (see measure_names.js), or undefined if
+// every path matches
+let _path_regex = function(paths) {
+    paths = (paths || []).filter(path => path && path !== '*');
+    if (paths.length == 0) {
+        return undefined;
+    }
+
+    const regexes = paths.map(function(path) {
+        const regex = glob.to_regex(path).source;
+        // allow for the keys of composite values after the path
+        return regex.replace(/\$$/, '([/[].*)?$');
+    });
+    return regexes.join('|');
+};
+
+let _path_condition = function(paths) {
+    const regex = _path_regex(paths);
+    if (_.isUndefined(regex)) {
+        return undefined;
+    }
+    return `regexp_like(measure_name, ${_quote_string(regex)})`;
+};
+
+// conditions that each of the dimensions, a map of name -> value, has the
+// value
+let _dimension_conditions = function(dimensions) {
+    return Object.entries(dimensions || {}).map(function(entry) {
+        return `${_quote_identifier(entry[0])} = ${_quote_string(`${entry[1]}`)}`;
+    });
+};
+
+let _where = function(conditions) {
+    conditions = conditions.filter(c => !_.isUndefined(c));
+    return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+};
+
+// every row between start_time and end_time, with the dimensions (a map of
+// name -> value), for the paths and in the contexts (as stored), if given
+let _time_range = function(table, start_time, end_time, dimensions, paths, contexts) {
+    const select    = `SELECT *`;
+    const from      = `FROM ${table}`;
+    const where     = _where([
+        `time >= ${_timestamp(start_time)}`,
+        `time < ${_timestamp(end_time)}`,
+        contexts ? `context IN (${contexts.map(_quote_string).join(', ')})` : undefined,
+        _path_condition(paths)
+    ].concat(_dimension_conditions(dimensions)));
+    const order_by  = `ORDER BY time ASC`;
+    return `${select} ${from} ${where} ${order_by}`;
+};
+
+// the time of the first row at or after time, and before end_time, which
+// keeps the query from scanning the rest of the table
+let _first_time_after = function(table, time, end_time) {
+    return `SELECT min(time) AS time FROM ${table} WHERE time >= ${_timestamp(time)} AND time < ${_timestamp(end_time)}`;
+};
+
+let _describe = function(table) {
+    return `DESCRIBE ${table}`;
+};
+
+// convert the result of _describe into [{ name, type, attribute_type }],
+// where attribute_type is one of DIMENSION, MEASURE_NAME, MEASURE_VALUE,
+// MULTI or TIMESTAMP
+let _parse_describe = function(result) {
+    const idx = function(name) {
+        return _.findIndex(result.ColumnInfo, col => col.Name === name);
+    };
+    const name_idx = idx('Column');
+    const type_idx = idx('Type');
+    const attribute_type_idx = idx('Timestream attribute type');
+
+    return result.Rows.map(function(row) {
+        return {
+            name: row.Data[name_idx].ScalarValue,
+            type: row.Data[type_idx].ScalarValue,
+            attribute_type: row.Data[attribute_type_idx].ScalarValue
+        };
+    });
+};
+
+// the dimensions that say which value a row is, rather than describing it
+const VALUE_DIMENSIONS = ['context', 'source', 'statistic'];
+
+// the most recent value of every measure, for each context, source and
+// statistic, in the time range, where columns is the result of
+// _parse_describe.  The value columns keep their names, so the result parses
+// like any other.
+let _latest_values = function(table, columns, start_time, end_time, paths) {
+    const dimensions = columns
+        .filter(col => col.attribute_type === 'DIMENSION' && VALUE_DIMENSIONS.includes(col.name))
+        .map(col => _quote_identifier(col.name));
+    const values = columns
+        .filter(col => col.attribute_type === 'MEASURE_VALUE' || col.attribute_type === 'MULTI')
+        .map(col => `max_by(${_quote_identifier(col.name)}, time) AS ${_quote_identifier(col.name)}`);
+    const group_by_columns = dimensions.concat(['measure_name']);
+
+    // only the plain values, not the interval statistics
+    const has_statistic = columns.some(col => col.name === 'statistic');
+
+    const select    = `SELECT ${group_by_columns.concat(['max(time) AS time']).concat(values).join(', ')}`;
+    const from      = `FROM ${table}`;
+    const where     = _where([
+        `time >= ${_timestamp(start_time)}`,
+        `time <= ${_timestamp(end_time)}`,
+        has_statistic ? 'statistic IS NULL' : undefined,
+        _path_condition(paths)
+    ]);
+    const group_by  = `GROUP BY ${group_by_columns.join(', ')}`;
+    return `${select} ${from} ${where} ${group_by}`;
+};
+
+// the signalk history api aggregate methods, and how to compute them from a
+// column
+const AGGREGATES = {
+    average: col => `avg(${col})`,
+    min: col => `min(${col})`,
+    max: col => `max(${col})`,
+    first: col => `min_by(${col}, time)`,
+    last: col => `max_by(${col}, time)`,
+    count: col => `count(${col})`
+};
+
+// the statistic written for each interval (see aggregate.js) that each
+// aggregate can use, since it saw every value in the interval rather than
+// just the last
+const STATISTIC_FOR_AGGREGATE = {
+    average: 'mean',
+    min: 'min',
+    max: 'max',
+    first: 'first',
+    count: 'count'
+};
+
+// the aggregate of the column in a bin, from the rows for the statistic where
+// there are any, falling back to the plain rows.  The extremes of min and max
+// are just as good from both, but the mean of an interval can't be averaged
+// with its last value, the counts of intervals add up, and the first value
+// of the first interval is the first value of the bin.
+let _aggregate_with_statistic = function(col, aggregate, numeric) {
+    const plain = `CASE WHEN statistic IS NULL THEN ${col} END`;
+    // last has no statistic, the plain row is the last value
+    if (_.isUndefined(STATISTIC_FOR_AGGREGATE[aggregate])) {
+        return AGGREGATES[aggregate](plain);
+    }
+    const statistic = _quote_string(STATISTIC_FOR_AGGREGATE[aggregate]);
+    const of_statistic = `CASE WHEN statistic = ${statistic} THEN ${col} END`;
+
+    switch (aggregate) {
+        case 'min':
+        case 'max':
+            return AGGREGATES[aggregate](col);
+        case 'average':
+            return `coalesce(avg(${of_statistic}), avg(${plain}))`;
+        case 'first':
+            return `coalesce(min_by(${col}, CASE WHEN statistic = ${statistic} THEN time END), min_by(${col}, CASE WHEN statistic IS NULL THEN time END))`;
+        case 'count':
+            // counts are numbers, whatever the type of the values counted
+            return numeric ? `coalesce(sum(${of_statistic}), count(${plain}))` : `count(${plain})`;
+        default:
+            return AGGREGATES[aggregate](plain);
+    }
+};
+
+// the value of each measure matching one of the exact paths, aggregated over
+// bins of resolution seconds, where columns is the result of _parse_describe.
+// The value columns keep their names, so the result parses like any other.
+// Averages, min and max only make sense for numbers, so for those only the
+// numeric columns are aggregated.  Where statistics were written for a path,
+// the aggregate uses them (see _aggregate_with_statistic).  Only rows with the
+// dimensions (a map of name -> value) are included, if they're given.
+let _binned_values = function(table, columns, contexts, start_time, end_time, path, aggregate, resolution, dimensions) {
+    const numeric = ['double', 'bigint'];
+    const has_statistic = columns.some(col => col.name === 'statistic');
+    const statistic = STATISTIC_FOR_AGGREGATE[aggregate];
+    const bin = `bin(time, ${resolution}s)`;
+
+    const values = columns
+        .filter(col => col.attribute_type === 'MEASURE_VALUE' || col.attribute_type === 'MULTI')
+        .filter(col => ['first', 'last', 'count'].includes(aggregate) || numeric.includes(col.type))
+        .map(function(col) {
+            const name = _quote_identifier(col.name);
+            const value = has_statistic ?
+                _aggregate_with_statistic(name, aggregate, numeric.includes(col.type)) :
+                AGGREGATES[aggregate](name);
+            return `${value} AS ${name}`;
+        });
+
+    let statistic_condition;
+    if (has_statistic && statistic) {
+        statistic_condition = `(statistic IS NULL OR statistic = ${_quote_string(statistic)})`;
+    } else if (has_statistic) {
+        statistic_condition = 'statistic IS NULL';
+    }
+
+    const select    = `SELECT context, measure_name, ${bin} AS time, ${values.join(', ')}`;
+    const from      = `FROM ${table}`;
+    const where     = _where([
+        `time >= ${_timestamp(start_time)}`,
+        `time < ${_timestamp(end_time)}`,
+        `context IN (${contexts.map(_quote_string).join(', ')})`,
+        statistic_condition,
+        _path_condition([path])
+    ].concat(_dimension_conditions(dimensions)));
+    const group_by  = `GROUP BY context, measure_name, ${bin}`;
+    const order_by  = `ORDER BY time ASC`;
+    return `${select} ${from} ${where} ${group_by} ${order_by}`;
+};
+
+// a regex matching the measure names of the meta (see meta.js) of any of the
+// path globs
+let _meta_regex = function(paths) {
+    paths = (paths || []).filter(path => path && path !== '*');
+    if (paths.length == 0) {
+        return `^${meta.PREFIX}`;
+    }
+    return paths.map(path => glob.to_regex(meta.measure_name(path)).source).join('|');
+};
+
+// the most recent meta of each path matching the globs, for each of the
+// contexts, in the time range, where columns is the result of
+// _parse_describe.  Only the meta fields that have been written are
+// columns, and if none have, there's nothing to query.
+let _latest_meta = function(table, columns, contexts, start_time, end_time, paths) {
+    const values = columns
+        .filter(col => col.attribute_type === 'MULTI' && meta.FIELDS.includes(col.name))
+        .map(col => `max_by(${_quote_identifier(col.name)}, time) AS ${_quote_identifier(col.name)}`);
+
+    const select    = `SELECT ${['context', 'measure_name', 'max(time) AS time'].concat(values).join(', ')}`;
+    const from      = `FROM ${table}`;
+    const where     = _where([
+        `time >= ${_timestamp(start_time)}`,
+        `time <= ${_timestamp(end_time)}`,
+        `context IN (${contexts.map(_quote_string).join(', ')})`,
+        `regexp_like(measure_name, ${_quote_string(_meta_regex(paths))})`
+    ]);
+    const group_by  = `GROUP BY context, measure_name`;
+    return `${select} ${from} ${where} ${group_by}`;
+};
+
+let _distinct_contexts = function(table, start_time, end_time) {
+    const where = `WHERE time >= ${_timestamp(start_time)} AND time < ${_timestamp(end_time)}`;
+    return `SELECT DISTINCT context FROM ${table} ${where}`;
+};
+
+let _distinct_measure_names = function(table, contexts, start_time, end_time) {
+    const where = _where([
+        `time >= ${_timestamp(start_time)}`,
+        `time < ${_timestamp(end_time)}`,
+        `context IN (${contexts.map(_quote_string).join(', ')})`
+    ]);
+    return `SELECT DISTINCT measure_name FROM ${table} ${where}`;
+};
+
+const BUILDERS = {
+    time_range: _time_range,
+    first_time_after: _first_time_after,
+    describe: _describe,
+    latest_values: _latest_values,
+    binned_values: _binned_values,
+    latest_meta: _latest_meta,
+    distinct_contexts: _distinct_contexts,
+    distinct_measure_names: _distinct_measure_names
+};
+
+// name is one of the BUILDERS, followed by its arguments after the table
+let _query = function(name) {
+    if (!BUILDERS[name]) {
+        throw new Error(`unknown query ${name}`);
+    }
+    return {
+        name: name,
+        args: Array.prototype.slice.call(arguments, 1)
+    };
+};
+
+let _to_sql = function(table, query) {
+    return BUILDERS[query.name].apply(null, [table].concat(query.args));
+};
+
+module.exports = {
+    AGGREGATES: AGGREGATES,
+    STATISTIC_FOR_AGGREGATE: STATISTIC_FOR_AGGREGATE,
+    VALUE_DIMENSIONS: VALUE_DIMENSIONS,
+    query: _query,
+    to_sql: _to_sql,
+    path_regex: _path_regex,
+    meta_regex: _meta_regex,
+    quote_string: _quote_string,
+    quote_identifier: _quote_identifier,
+    timestamp: _timestamp,
+    path_condition: _path_condition,
+    dimension_conditions: _dimension_conditions,
+    where: _where,
+    time_range: _time_range,
+    first_time_after: _first_time_after,
+    describe: _describe,
+    parse_describe: _parse_describe,
+    latest_values: _latest_values,
+    binned_values: _binned_values,
+    latest_meta: _latest_meta,
+    distinct_contexts: _distinct_contexts,
+    distinct_measure_names: _distinct_measure_names
+};
@@ -0,0 +1,132 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const debug = require('debug')('signalk-to-timestream:query_timestream');
+const trace = require('debug')('signalk-to-timestream:query_timestream:trace');
+const _ = require('lodash');
+
+// Run a query, following NextToken until the whole result has been read, and
+// hand each page to on_page(result) as it arrives so the caller never has to
+// hold the whole result in memory.
+//
+// Timestream can return a page with no rows and a NextToken while it's still
+// working on the query, so we keep asking until there's no NextToken.
+//
+// Rows for a single time can be split across pages, and since the parser puts
+// those rows back together into a single update, we hold back the rows for
+// the last time in a page and pass them along with the next page.  This only
+// works because our queries are ordered by time.
+//
+// Returns { done, cancel }, where done is a promise that resolves when all
+// the pages have been handled and cancel() stops fetching pages.
+module.exports = function(timestream_query, query_string, on_page) {
+    let _cancelled = false;
+    let _request;
+    let _query_id;
+
+    const done = new Promise((resolve, reject) => {
+        let held_back_rows = [];
+
+        let _handle_page = function(data, is_last_page) {
+            const time_idx = _.findIndex(data.ColumnInfo, col => col.Name === 'time');
+            let rows = held_back_rows.concat(data.Rows);
+            held_back_rows = [];
+
+            if (!is_last_page && time_idx != -1 && rows.length > 0) {
+                const last_time = _.last(rows).Data[time_idx].ScalarValue;
+                const split_idx = _.findLastIndex(rows, row => row.Data[time_idx].ScalarValue !== last_time) + 1;
+
+                held_back_rows = rows.slice(split_idx);
+                rows = rows.slice(0, split_idx);
+            }
+
+            if (rows.length > 0) {
+                on_page({
+                    ColumnInfo: data.ColumnInfo,
+                    Rows: rows
+                });
+            }
+        };
+
+        let _next_page = function(next_token) {
+            if (_cancelled) {
+                reject(new Error('query cancelled'));
+                return;
+            }
+
+            let params = {
+                QueryString: query_string
+            };
+            if (next_token) {
+                params.NextToken = next_token;
+            }
+
+            _request = timestream_query.query(params, function(err, data) {
+                _request = undefined;
+
+                if (_cancelled) {
+                    reject(new Error('query cancelled'));
+                    return;
+                }
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                _query_id = data.QueryId;
+                trace(`query ${_query_id} page of ${data.Rows.length} rows, more=${!!data.NextToken}`);
+
+                try {
+                    _handle_page(data, !data.NextToken);
+                } catch (page_err) {
+                    reject(page_err);
+                    return;
+                }
+
+                if (data.NextToken) {
+                    _next_page(data.NextToken);
+                } else {
+                    resolve();
+                }
+            });
+        };
+
+        _next_page();
+    });
+
+    let _cancel = function() {
+        if (_cancelled) {
+            return;
+        }
+
+        _cancelled = true;
+        if (_request) {
+            _request.abort();
+        }
+        // stop timestream working on a query we don't want anymore
+        if (_query_id) {
+            timestream_query.cancelQuery({ QueryId: _query_id }, function(err) {
+                if (err) {
+                    debug(`could not cancel query ${_query_id}: ${err}`);
+                }
+            });
+        }
+    };
+
+    return {
+        done: done,
+        cancel: _cancel
+    };
+};
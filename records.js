@@ -0,0 +1,147 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const debug = require('debug')('signalk-to-timestream:records');
+const trace = require('debug')('signalk-to-timestream:records:trace');
+const _ = require('lodash');
+
+const measure_names = require('./measure_names');
+
+// returns the timestream type for a leaf value, or undefined if it can't be
+// stored
+let _value_to_type = function(name, value) {
+    if (typeof(value) == 'string') {
+        return "VARCHAR";
+    } else if (typeof(value) == 'number') {
+        // timestream won't take NaN or infinity
+        return isFinite(value) ? "DOUBLE" : undefined;
+    } else if (typeof(value) == 'boolean') {
+        return "BOOLEAN";
+    } else if (typeof(value) == 'bigint') {
+        return "BIGINT";
+    } else {
+        debug(`could not determine type for ${name}=${JSON.stringify(value)}`);
+        return undefined;
+    }
+};
+
+// flatten the value into its leaves, dropping the ones we can't store.  A
+// null means signalk has no value for the path, and timestream can't store a
+// null measure, so nothing is written for it.  Empty objects and arrays have
+// no leaves, so they aren't written either.
+let _to_leaves = function(point) {
+    return measure_names.flatten(point.value).filter(function(leaf) {
+        if (_.isNull(leaf.value) || _.isUndefined(leaf.value)) {
+            trace(`skipping null ${measure_names.encode(point.name, leaf.keys)}`);
+            return false;
+        }
+        leaf.type = _value_to_type(measure_names.encode(point.name, leaf.keys), leaf.value);
+        return !_.isUndefined(leaf.type);
+    });
+};
+
+// timestream doesn't allow empty dimensions, so only add the source and
+// statistic if we have them, the context is common to the whole request
+let _dimensions = function(point) {
+    let dimensions = [];
+    if (point.source) {
+        dimensions.push({
+            Name: "source",
+            Value: point.source
+        });
+    }
+    if (point.statistic) {
+        dimensions.push({
+            Name: "statistic",
+            Value: point.statistic
+        });
+    }
+    return dimensions;
+};
+
+let _with_dimensions = function(record, point) {
+    const dimensions = _dimensions(point);
+    if (dimensions.length > 0) {
+        record.Dimensions = dimensions;
+    }
+    return record;
+};
+
+let _is_composite = function(value) {
+    return _.isPlainObject(value) || Array.isArray(value);
+};
+
+// some values are composite values, like navigation or current, possibly
+// nested, in those cases, create a record for each leaf in the composite
+// value, with the keys encoded in the measure name (see measure_names.js)
+//
+// ex: {"name":"environment.current","value":{"setTrue":2.4364,"drift":0.34}}
+//  -> [{"MeasureName":"environment.current/setTrue","MeasureValue":"2.4364",...},
+//      {"MeasureName":"environment.current/drift","MeasureValue":"0.34",...}]
+let _to_single_measure_records = function(point) {
+    return _to_leaves(point).map(function(leaf) {
+        return _with_dimensions({
+            MeasureName: measure_names.encode(point.name, leaf.keys),
+            MeasureValue: `${leaf.value}`,
+            MeasureValueType: leaf.type,
+            Time: `${point.timestamp}`
+        }, point);
+    });
+};
+
+// write a composite value as a single record, with a sub-measure for each
+// leaf in the composite value
+//
+// ex: {"name":"environment.current","value":{"setTrue":2.4364,"drift":0.34}}
+//  -> {"MeasureName":"environment.current","MeasureValueType":"MULTI",
+//      "MeasureValues":[{"Name":"setTrue","Value":"2.4364","Type":"DOUBLE"},
+//                       {"Name":"drift","Value":"0.34","Type":"DOUBLE"}],...}
+let _to_multi_measure_records = function(point) {
+    const measure_values = _to_leaves(point).map(function(leaf) {
+        return {
+            Name: measure_names.encode_sub_measure(leaf.keys),
+            Value: `${leaf.value}`,
+            Type: leaf.type
+        };
+    });
+
+    // nothing left to write, eg an object of nulls
+    if (measure_values.length == 0) {
+        return [];
+    }
+
+    return [_with_dimensions({
+        MeasureName: point.name,
+        MeasureValueType: "MULTI",
+        MeasureValues: measure_values,
+        Time: `${point.timestamp}`
+    }, point)];
+};
+
+// convert points into timestream records
+//
+// options:
+//  multi_measure: write composite values as a single multi-measure record,
+//      rather than a record per key
+module.exports = function(points, options) {
+    const records = points.map(function(point) {
+        if (options.multi_measure && _is_composite(point.value)) {
+            return _to_multi_measure_records(point);
+        }
+        return _to_single_measure_records(point);
+    });
+
+    return _.flatten(records);
+};
@@ -0,0 +1,123 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const trace = require('debug')('signalk-to-timestream:rules:trace');
+const _ = require('lodash');
+
+const glob = require('./glob');
+
+// The write rules decide how often each path is written, and whether an
+// unchanged value is worth writing at all.  They're an ordered list, the first
+// rule with a matching path glob wins, and anything that doesn't match uses
+// the global write interval.
+//
+// options:
+//  write_interval: the default interval, in seconds
+//  write_rules: [{ path, interval, change_only, deadband_absolute,
+//      deadband_relative, max_silence }]
+module.exports = function(options) {
+    let _to_rule = function(config) {
+        const deadband_absolute = config.deadband_absolute || 0;
+        const deadband_relative = config.deadband_relative || 0;
+
+        return {
+            path: config.path,
+            regex: config.path ? glob.to_regex(config.path) : undefined,
+            interval: config.interval || options.write_interval,
+            skip_unchanged: !!config.change_only || deadband_absolute > 0 || deadband_relative > 0,
+            deadband_absolute: deadband_absolute,
+            deadband_relative: deadband_relative,
+            max_silence: config.max_silence,
+            next_due: undefined
+        };
+    };
+
+    const _default_rule = _to_rule({});
+    const _rules = (options.write_rules || []).filter(r => r.path).map(_to_rule);
+    const _all_rules = _rules.concat([_default_rule]);
+
+    // the timer has to tick often enough for the most frequent rule
+    const _tick_interval = _.min(_all_rules.map(r => r.interval));
+
+    // paths are looked up on every delta, so remember the answer
+    let _cache = {};
+
+    let _rule_for = function(path) {
+        if (_.isUndefined(_cache[path])) {
+            _cache[path] = _rules.find(r => r.regex.test(path)) || _default_rule;
+            trace(`path=${path} uses rule=${_cache[path].path}`);
+        }
+        return _cache[path];
+    };
+
+    // return the rules whose interval has elapsed, and schedule their next
+    // write.  The first call comes a tick after the start, so that's where a
+    // rule's first interval is counted from.
+    let _take_due = function(now) {
+        // timers aren't exact, so allow for a bit of jitter
+        const slack = _tick_interval * 1000 / 2;
+
+        return _all_rules.filter(function(rule) {
+            const interval = rule.interval * 1000;
+
+            if (_.isUndefined(rule.next_due)) {
+                rule.next_due = now - _tick_interval * 1000 + interval;
+            }
+            if (rule.next_due > now + slack) {
+                return false;
+            }
+            while (rule.next_due <= now + slack) {
+                rule.next_due += interval;
+            }
+            return true;
+        });
+    };
+
+    // true if a rule that skips unchanged values has gone max_silence
+    // without writing, since the last point written for the key
+    let _is_overdue = function(rule, last_written, now) {
+        return rule.skip_unchanged && !!rule.max_silence && !_.isUndefined(last_written) &&
+            now - last_written.time >= rule.max_silence * 1000;
+    };
+
+    // true if the point doesn't need to be written, given the last point
+    // written for the same key
+    let _is_unchanged = function(rule, last_written, point, now) {
+        if (!rule.skip_unchanged || _.isUndefined(last_written)) {
+            return false;
+        }
+        // force a write every so often, even if nothing changed
+        if (_is_overdue(rule, last_written, now)) {
+            return false;
+        }
+
+        const last_value = last_written.value;
+        const value = point.value;
+        if (typeof(value) == 'number' && typeof(last_value) == 'number') {
+            const change = Math.abs(value - last_value);
+            return change <= rule.deadband_absolute ||
+                change <= rule.deadband_relative * Math.abs(last_value);
+        }
+        return _.isEqual(value, last_value);
+    };
+
+    return {
+        tick_interval: _tick_interval,
+        rule_for: _rule_for,
+        take_due: _take_due,
+        is_unchanged: _is_unchanged,
+        is_overdue: _is_overdue
+    };
+};
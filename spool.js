@@ -0,0 +1,208 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const debug = require('debug')('signalk-to-timestream:spool');
+const trace = require('debug')('signalk-to-timestream:spool:trace');
+const fs = require('fs');
+const path = require('path');
+
+// The spool is a directory of json files, one per failed writeRecords
+// request.  File names start with the time they were spooled, so sorting the
+// names gives us oldest-first order, and since they're on disk they survive a
+// restart of the server.
+//
+// options:
+//  directory: where to keep the spooled requests
+//  max_bytes: total size of the spool, oldest requests are dropped beyond this
+//  max_age: age in ms after which a spooled request is dropped
+//  send: function(params, callback(err)) that does the actual write
+//  is_retryable: function(err) that decides if a failed send should be kept
+module.exports = function(options) {
+    const _initial_backoff = 5 * 1000;
+    const _max_backoff = 5 * 60 * 1000;
+
+    let _sequence = 0;
+    let _failures = 0;
+    let _retry_timer;
+    let _draining = false;
+    let _stopped = false;
+
+    fs.mkdirSync(options.directory, { recursive: true });
+
+    let _list = function() {
+        return fs.readdirSync(options.directory)
+            .filter(name => name.endsWith('.json'))
+            .sort();
+    };
+
+    let _remove = function(name) {
+        try {
+            fs.unlinkSync(path.join(options.directory, name));
+        } catch (err) {
+            debug(`could not remove ${name}: ${err}`);
+        }
+    };
+
+    // the name is <ms since epoch>-<sequence>.json
+    let _spooled_at = function(name) {
+        return parseInt(name.split('-')[0]);
+    };
+
+    // drop anything too old, then drop the oldest requests until we fit in
+    // the size limit
+    let _enforce_limits = function() {
+        const now = Date.now();
+        let files = _list().filter(function(name) {
+            if (now - _spooled_at(name) > options.max_age) {
+                debug(`dropping ${name}, older than ${options.max_age}ms`);
+                _remove(name);
+                return false;
+            }
+            return true;
+        });
+
+        let sizes = files.map(name => fs.statSync(path.join(options.directory, name)).size);
+        let total = sizes.reduce((accumulator, cur_val) => accumulator + cur_val, 0);
+
+        while (total > options.max_bytes && files.length > 0) {
+            debug(`dropping ${files[0]}, spool is ${total} bytes`);
+            _remove(files.shift());
+            total -= sizes.shift();
+        }
+    };
+
+    let _schedule_retry = function() {
+        if (_stopped || _retry_timer || _draining) {
+            return;
+        }
+
+        const backoff = Math.min(_max_backoff, _initial_backoff * Math.pow(2, _failures));
+        trace(`retrying spool in ${backoff}ms`);
+
+        _retry_timer = setTimeout(function() {
+            _retry_timer = undefined;
+            _drain();
+        }, backoff);
+    };
+
+    let _drain_next = function() {
+        if (_stopped) {
+            _draining = false;
+            return;
+        }
+
+        _enforce_limits();
+
+        const files = _list();
+        if (files.length == 0) {
+            trace('spool is empty');
+            _draining = false;
+            _failures = 0;
+            return;
+        }
+
+        const name = files[0];
+        let params;
+        try {
+            params = JSON.parse(fs.readFileSync(path.join(options.directory, name)));
+        } catch (err) {
+            debug(`dropping unreadable ${name}: ${err}`);
+            _remove(name);
+            _drain_next();
+            return;
+        }
+
+        trace(`draining ${name}`);
+        options.send(params, function(err) {
+            if (err && options.is_retryable(err)) {
+                // still can't write, so leave it for next time
+                _failures += 1;
+                _draining = false;
+                _schedule_retry();
+                return;
+            }
+
+            if (err) {
+                debug(`dropping ${name}, it can never be written: ${err}`);
+            }
+            _remove(name);
+            _failures = 0;
+            _drain_next();
+        });
+    };
+
+    // write everything in the spool, oldest first, stopping at the first
+    // failure
+    let _drain = function() {
+        if (_stopped || _draining) {
+            return;
+        }
+        if (_retry_timer) {
+            clearTimeout(_retry_timer);
+            _retry_timer = undefined;
+        }
+
+        _draining = true;
+        _drain_next();
+    };
+
+    // keep the request to send later, returns false if it couldn't be, say
+    // because the disk is full
+    let _push = function(params) {
+        _sequence += 1;
+        const name = `${Date.now()}-${String(_sequence).padStart(6, '0')}.json`;
+        const file = path.join(options.directory, name);
+
+        // write to a temp file and rename, so a crash never leaves a partial
+        // request in the spool
+        try {
+            fs.writeFileSync(`${file}.tmp`, JSON.stringify(params));
+            fs.renameSync(`${file}.tmp`, file);
+        } catch (err) {
+            debug(`could not spool ${params.Records.length} records: ${err}`);
+            try {
+                fs.unlinkSync(`${file}.tmp`);
+            } catch (unlink_err) {
+                // it was never written
+            }
+            return false;
+        }
+        debug(`spooled ${params.Records.length} records to ${name}`);
+
+        _enforce_limits();
+        _schedule_retry();
+        return true;
+    };
+
+    let _stop = function() {
+        _stopped = true;
+        if (_retry_timer) {
+            clearTimeout(_retry_timer);
+            _retry_timer = undefined;
+        }
+    };
+
+    // anything left over from a previous run gets retried
+    if (_list().length > 0) {
+        _schedule_retry();
+    }
+
+    return {
+        push: _push,
+        drain: _drain,
+        depth: function() { return _list().length; },
+        stop: _stop
+    };
+};
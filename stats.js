@@ -0,0 +1,87 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const _ = require('lodash');
+
+// Counters for how writing and querying are going, since the plugin was
+// started, for the status route and the plugin status.
+module.exports = function() {
+    // how much weight the latest query gets in the average latency
+    const _latency_weight = 0.2;
+
+    let _records_written = 0;
+    let _records_rejected = 0;
+    let _records_too_old = 0;
+    let _timestamps_corrected = 0;
+    let _timestamps_dropped = 0;
+    let _requests_failed = 0;
+    let _records_not_spooled = 0;
+    let _last_write;
+    let _last_error;
+    let _queries = 0;
+    let _queries_failed = 0;
+    let _last_query_latency;
+    let _average_query_latency;
+
+    let _write_succeeded = function(records_written) {
+        _records_written += records_written;
+        _last_write = new Date();
+    };
+
+    let _write_failed = function(err) {
+        _requests_failed += 1;
+        _last_error = err.message || `${err}`;
+    };
+
+    let _query_finished = function(latency) {
+        _queries += 1;
+        _last_query_latency = latency;
+        _average_query_latency = _.isUndefined(_average_query_latency) ? latency :
+            _average_query_latency + _latency_weight * (latency - _average_query_latency);
+    };
+
+    // the counters as a plain object, in camel case like signalk
+    let _summary = function() {
+        return {
+            recordsWritten: _records_written,
+            recordsRejected: _records_rejected,
+            recordsTooOld: _records_too_old,
+            timestampsCorrected: _timestamps_corrected,
+            timestampsDropped: _timestamps_dropped,
+            requestsFailed: _requests_failed,
+            recordsNotSpooled: _records_not_spooled,
+            lastWrite: _last_write ? _last_write.toISOString() : null,
+            lastError: _.isUndefined(_last_error) ? null : _last_error,
+            queries: _queries,
+            queriesFailed: _queries_failed,
+            lastQueryLatency: _.isUndefined(_last_query_latency) ? null : _last_query_latency,
+            averageQueryLatency: _.isUndefined(_average_query_latency) ? null : Math.round(_average_query_latency)
+        };
+    };
+
+    return {
+        write_succeeded: _write_succeeded,
+        write_failed: _write_failed,
+        records_rejected: function(count) { _records_rejected += count; },
+        records_rejected_total: function() { return _records_rejected; },
+        records_too_old: function(count) { _records_too_old += count; },
+        timestamps_corrected: function(count) { _timestamps_corrected += count; },
+        timestamps_dropped: function(count) { _timestamps_dropped += count; },
+        spool_failed: function(count) { _records_not_spooled += count; },
+        query_finished: _query_finished,
+        query_failed: function() { _queries_failed += 1; },
+        summary: _summary
+    };
+};
@@ -0,0 +1,70 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const aggregate = require('../aggregate');
+
+describe('aggregate', function() {
+    const statistics_function = aggregate.construct_statistics_function([
+        { path: 'environment.wind.*', statistics: ['max', 'mean'] },
+        { path: 'navigation.*' }
+    ]);
+
+    // the points written for the values added over an interval
+    let _interval = function(name, values) {
+        const point = values.reduce(function(existing, value, i) {
+            const p = { context: 'vessels.self', name: name, value: value, timestamp: 1000 * i };
+            return aggregate.add(existing, p, statistics_function(name));
+        }, undefined);
+        return aggregate.expand(point);
+    };
+
+    it('writes the last value and each statistic of the interval', function() {
+        const points = _interval('navigation.speedOverGround', [3, 1, 5, 4]);
+        assert.deepStrictEqual(points.map(p => [p.statistic, p.value, p.timestamp]), [
+            [undefined, 4, 3000],
+            ['min', 1, 3000],
+            ['max', 5, 3000],
+            ['mean', 3.25, 3000],
+            ['count', 4, 3000],
+            ['first', 3, 3000]
+        ]);
+    });
+
+    it('only writes the statistics asked for, from the first matching glob', function() {
+        const points = _interval('environment.wind.speedApparent', [3, 7]);
+        assert.deepStrictEqual(points.map(p => [p.statistic, p.value]), [
+            [undefined, 7],
+            ['max', 7],
+            ['mean', 5]
+        ]);
+    });
+
+    it('counts values that aren\'t numbers, but doesn\'t take their extremes', function() {
+        const points = _interval('navigation.state', ['anchored', 'motoring', 'sailing']);
+        assert.deepStrictEqual(points.map(p => [p.statistic, p.value]), [
+            [undefined, 'sailing'],
+            ['count', 3],
+            ['first', 'anchored']
+        ]);
+    });
+
+    it('leaves paths without statistics alone', function() {
+        const points = _interval('environment.depth.belowTransducer', [3, 4]);
+        assert.deepStrictEqual(points, [{ context: 'vessels.self', name: 'environment.depth.belowTransducer', value: 4, timestamp: 1000 }]);
+    });
+});
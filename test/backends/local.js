@@ -0,0 +1,133 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const _ = require('lodash');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+
+const create_local_backend = require('../../backends/local');
+const parse_timestream = require('../../parse_timestream');
+const queries = require('../../queries');
+
+const CONTEXT = 'vessels.urn:mrn:imo:mmsi:368107960';
+
+// a single measure record, the way index.js writes them
+let _record = function(time, name, value) {
+    return {
+        Time: `${time.getTime()}`,
+        Dimensions: [{ Name: 'context', Value: CONTEXT }],
+        MeasureName: name,
+        MeasureValueType: 'DOUBLE',
+        MeasureValue: `${value}`
+    };
+};
+
+// the rows of the query's result, concatenated over its pages
+let _query = function(backend, query) {
+    let result;
+    const running = backend.query(query, function(page) {
+        result = result ? Object.assign(result, { Rows: result.Rows.concat(page.Rows) }) : page;
+    });
+    return running.done.then(() => result || { ColumnInfo: [], Rows: [] });
+};
+
+let _columns = function(backend) {
+    return _query(backend, queries.query('describe')).then(queries.parse_describe);
+};
+
+// [[path, value], ...] of the parsed result, in the order returned
+let _values = function(result) {
+    return _.flatten(parse_timestream(result).map(delta => _.flatten(delta.updates.map(u => u.values))))
+        .map(v => [v.path, v.value]);
+};
+
+describe('local backend', function() {
+    const start = new Date('2020-10-17T23:59:00Z');
+    let directory;
+    let backend;
+
+    beforeEach(function() {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'signalk-to-timestream-'));
+        backend = create_local_backend({ directory: directory });
+
+        // a minute of speeds either side of midnight, so they're in two files
+        const records = _.range(0, 120, 10).map(s => _record(new Date(start.getTime() + s * 1000), 'navigation.speedOverGround', s / 10));
+        records.push(_record(new Date(start.getTime() + 30000), 'environment.depth.belowTransducer', 5));
+        return new Promise((resolve, reject) => {
+            backend.write_records({ Records: records }, err => err ? reject(err) : resolve());
+        });
+    });
+
+    afterEach(function() {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('returns the rows written in a time range', function() {
+        const query = queries.query('time_range', new Date(start.getTime() + 50000), new Date(start.getTime() + 80000),
+            undefined, ['navigation.*'], [CONTEXT]);
+
+        return _query(backend, query).then(function(result) {
+            assert.deepStrictEqual(_values(result), [
+                ['navigation.speedOverGround', 5],
+                ['navigation.speedOverGround', 6],
+                ['navigation.speedOverGround', 7]
+            ]);
+        });
+    });
+
+    it('finds the first time at or after a time', function() {
+        const query = queries.query('first_time_after', new Date(start.getTime() + 55000), new Date(start.getTime() + 120000));
+
+        return _query(backend, query).then(function(result) {
+            assert.strictEqual(result.Rows[0].Data[0].ScalarValue, '2020-10-18 00:00:00.000000000');
+        });
+    });
+
+    it('finds no first time when there\'s nothing before the end time', function() {
+        const query = queries.query('first_time_after', new Date(start.getTime() + 55000), new Date(start.getTime() + 60000));
+
+        return _query(backend, query).then(function(result) {
+            assert.deepStrictEqual(result.Rows[0].Data[0], { NullValue: true });
+        });
+    });
+
+    it('returns the latest value of each path', function() {
+        return _columns(backend).then(function(columns) {
+            const query = queries.query('latest_values', columns, start, new Date(start.getTime() + 120000));
+            return _query(backend, query);
+        }).then(function(result) {
+            assert.deepStrictEqual(_.sortBy(_values(result), v => v[0]), [
+                ['environment.depth.belowTransducer', 5],
+                ['navigation.speedOverGround', 11]
+            ]);
+        });
+    });
+
+    it('aggregates values into bins', function() {
+        return _columns(backend).then(function(columns) {
+            const query = queries.query('binned_values', columns, [CONTEXT], start, new Date(start.getTime() + 120000),
+                'navigation.speedOverGround', 'average', 60);
+            return _query(backend, query);
+        }).then(function(result) {
+            assert.deepStrictEqual(_values(result), [
+                ['navigation.speedOverGround', 2.5],
+                ['navigation.speedOverGround', 8.5]
+            ]);
+        });
+    });
+});
@@ -0,0 +1,177 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+
+const create_plugin = require('../index');
+
+// just enough of the server for the plugin to run
+let _create_app = function(directory) {
+    return {
+        selfId: 'urn:mrn:imo:mmsi:368107960',
+        signalk: new EventEmitter(),
+        getDataDirPath: () => directory,
+        getSelfPath: () => undefined,
+        getPath: () => undefined,
+        handleMessage: () => {},
+        setPluginStatus: () => {},
+        setPluginError: () => {},
+        registerHistoryProvider: () => {},
+        unregisterHistoryProvider: () => {},
+        debug: () => {},
+        error: () => {}
+    };
+};
+
+let _delay = function(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+};
+
+describe('backfill', function() {
+    const start = Date.parse('2020-10-17T16:00:00Z');
+    const append_file_sync = fs.appendFileSync;
+    let directory;
+    let plugin;
+    let routes;
+    let failing;
+
+    // the json the route answers with
+    let _call = function(route, query) {
+        return new Promise(resolve => {
+            const res = { status: () => res, json: resolve };
+            routes[route]({ query: query || {} }, res);
+        });
+    };
+
+    let _finished = function() {
+        return _call('GET /backfill').then(status => status.running ? _delay(50).then(_finished) : status);
+    };
+
+    // the records written for the path
+    let _records = function(measure_name) {
+        const file = path.join(directory, 'local-store', '2020-10-17.ndjson');
+        const lines = fs.existsSync(file) ? fs.readFileSync(file, 'utf8').trim().split('\n') : [];
+        return lines.map(line => JSON.parse(line)).filter(record => record.measure_name === measure_name);
+    };
+
+    beforeEach(function() {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'signalk-to-timestream-'));
+
+        // a minute of speeds, a delta a second, and a depth that's only sent
+        // once, since it doesn't change
+        const lines = [];
+        for (let i = 0; i < 60; ++i) {
+            const values = [{ path: 'navigation.speedOverGround', value: i }];
+            if (i == 0) {
+                values.push({ path: 'environment.depth.belowTransducer', value: 5 });
+            }
+            lines.push(JSON.stringify({
+                context: 'vessels.self',
+                updates: [{
+                    $source: 'log',
+                    timestamp: new Date(start + i * 1000).toISOString(),
+                    values: values
+                }]
+            }));
+        }
+        fs.writeFileSync(path.join(directory, 'data.log'), lines.join('\n'));
+
+        // the local backend can't write while failing is set
+        failing = false;
+        fs.appendFileSync = function(file) {
+            if (failing && file.endsWith('.ndjson')) {
+                const err = new Error('no space left on device');
+                err.code = 'ENOSPC';
+                throw err;
+            }
+            return append_file_sync.apply(fs, arguments);
+        };
+
+        plugin = create_plugin(_create_app(directory));
+        plugin.start({
+            backend: 'local',
+            write_interval: 10,
+            write_rules: [{ path: 'environment.depth.*', change_only: true, max_silence: 20 }],
+            filter_list_type: 'exclude',
+            filter_list: [],
+            spool_enabled: false,
+            write_meta: false,
+            backfill_rate: 100000
+        });
+        routes = {};
+        plugin.registerWithRouter({
+            get: (route, f) => { routes[`GET ${route}`] = f; },
+            post: (route, f) => { routes[`POST ${route}`] = f; }
+        });
+    });
+
+    afterEach(function() {
+        fs.appendFileSync = append_file_sync;
+        return Promise.resolve(plugin.stop()).then(function() {
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+    });
+
+    it('writes the log', function() {
+        return _call('POST /backfill', { files: path.join(directory, 'data.log') })
+            .then(_finished)
+            .then(function(status) {
+                assert.strictEqual(status.done, true);
+                assert.strictEqual(status.error, null);
+                assert.strictEqual(status.valuesWritten, 10);
+                assert.strictEqual(_records('navigation.speedOverGround').length, 7);
+            });
+    });
+
+    it('writes a value that isn\'t sent again at least every max_silence', function() {
+        return _call('POST /backfill', { files: path.join(directory, 'data.log') })
+            .then(_finished)
+            .then(function() {
+                const depths = _records('environment.depth.belowTransducer');
+                assert.deepStrictEqual(depths.map(record => record.value), ['5', '5', '5']);
+                assert.deepStrictEqual(depths.map(record => (record.time - start) / 1000), [0, 25, 45]);
+            });
+    });
+
+    it('stops without moving on when writes fail, and carries on from there', function() {
+        failing = true;
+        return _call('POST /backfill', { files: path.join(directory, 'data.log') })
+            .then(_finished)
+            .then(function(status) {
+                assert.strictEqual(status.done, false);
+                assert.match(status.error, /no space left on device/);
+                assert.strictEqual(status.valuesWritten, 0);
+                assert.strictEqual(_records('navigation.speedOverGround').length, 0);
+
+                const state = JSON.parse(fs.readFileSync(path.join(directory, 'backfill.json')));
+                assert.strictEqual(state.file_index, 0);
+                assert.strictEqual(state.line, 0);
+
+                failing = false;
+                return _call('POST /backfill/resume');
+            })
+            .then(_finished)
+            .then(function(status) {
+                assert.strictEqual(status.done, true);
+                assert.strictEqual(status.error, null);
+                assert.strictEqual(_records('navigation.speedOverGround').length, 7);
+            });
+    });
+});
@@ -0,0 +1,89 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const measure_names = require('../measure_names');
+
+// store the value the way records.js does, a measure per leaf, and read it
+// back the way parse_timestream.js does
+let _round_trip = function(path, value) {
+    const names = measure_names.flatten(value).map(leaf => ({
+        name: measure_names.encode(path, leaf.keys),
+        value: leaf.value
+    }));
+    const decoded = names.map(function(measure) {
+        const parsed = measure_names.decode(measure.name);
+        assert.strictEqual(parsed.path, path);
+        return { keys: parsed.keys, value: measure.value };
+    });
+    return measure_names.unflatten(decoded);
+};
+
+// the same, as the sub-measures of a multi-measure record
+let _round_trip_sub_measures = function(value) {
+    return measure_names.unflatten(measure_names.flatten(value).map(leaf => ({
+        keys: measure_names.decode_sub_measure(measure_names.encode_sub_measure(leaf.keys)),
+        value: leaf.value
+    })));
+};
+
+describe('measure names', function() {
+    it('encodes object keys and array indexes after the path', function() {
+        const names = measure_names.flatten({ sensors: [{ wet: true }], count: 1 })
+            .map(leaf => measure_names.encode('environment.inside.bilge', leaf.keys));
+        assert.deepStrictEqual(names, [
+            'environment.inside.bilge/sensors[0]/wet',
+            'environment.inside.bilge/count'
+        ]);
+    });
+
+    it('leaves a plain value as the path', function() {
+        assert.strictEqual(measure_names.encode('navigation.speedOverGround', []), 'navigation.speedOverGround');
+        assert.deepStrictEqual(measure_names.decode('navigation.speedOverGround'),
+            { path: 'navigation.speedOverGround', keys: [] });
+        assert.strictEqual(_round_trip('navigation.speedOverGround', 2.1), 2.1);
+    });
+
+    it('escapes the characters it uses in keys', function() {
+        assert.strictEqual(measure_names.encode('a', ['x/y', 'p[0]', '~1']), 'a/x~1y/p~20]/~01');
+    });
+
+    const values = {
+        'a position': { latitude: 45.1, longitude: -75.2 },
+        'nested objects and arrays': { sensors: [{ wet: true, names: ['a', 'b'] }, { wet: false, names: ['c'] }] },
+        'an array at the top': [1, [2, 3], { x: 4 }],
+        'keys with / [ and ~': { 'a/b': 1, 'c[0]': 2, 'd~1': 3, '~': 4, '/': 5, '[': 6 },
+        'keys that look like numbers': { '0': 'zero', '1': 'one', '[2]': 'two' },
+        'an empty key': { '': 1, 'x': { '': 2 } }
+    };
+
+    Object.entries(values).forEach(function(entry) {
+        it(`reads back ${entry[0]}`, function() {
+            assert.deepStrictEqual(_round_trip('a.b', entry[1]), entry[1]);
+        });
+
+        it(`reads back ${entry[0]} from sub-measures`, function() {
+            assert.deepStrictEqual(_round_trip_sub_measures(entry[1]), entry[1]);
+        });
+    });
+
+    it('has no leaves for empty objects and arrays', function() {
+        assert.deepStrictEqual(measure_names.flatten({}), []);
+        assert.deepStrictEqual(measure_names.flatten([]), []);
+        assert.deepStrictEqual(measure_names.flatten({ a: {}, b: [], c: 1 }), [{ keys: ['c'], value: 1 }]);
+    });
+});
@@ -0,0 +1,50 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const queries = require('../queries');
+
+describe('queries', function() {
+    const table = '"signalk"."history"';
+    const columns = [
+        { name: 'context', type: 'varchar', attribute_type: 'DIMENSION' },
+        { name: 'statistic', type: 'varchar', attribute_type: 'DIMENSION' },
+        { name: 'measure_name', type: 'varchar', attribute_type: 'MEASURE_NAME' },
+        { name: 'time', type: 'timestamp', attribute_type: 'TIMESTAMP' },
+        { name: 'measure_value::double', type: 'double', attribute_type: 'MEASURE_VALUE' }
+    ];
+    const start = new Date('2020-10-17T16:00:00Z');
+    const end = new Date('2020-10-17T18:00:00Z');
+
+    let _binned = function(aggregate) {
+        const query = queries.query('binned_values', columns, ['vessels.self'], start, end,
+            'navigation.speedOverGround', aggregate, 60);
+        return queries.to_sql(table, query);
+    };
+
+    it('averages the mean statistic where it was written', function() {
+        const sql = _binned('average');
+        assert.match(sql, /coalesce\(avg\(CASE WHEN statistic = 'mean' THEN "measure_value::double" END\), avg\(CASE WHEN statistic IS NULL THEN "measure_value::double" END\)\)/);
+        assert.match(sql, /\(statistic IS NULL OR statistic = 'mean'\)/);
+    });
+
+    it('takes the last value from the plain rows', function() {
+        const sql = _binned('last');
+        assert.match(sql, /max_by\(CASE WHEN statistic IS NULL THEN "measure_value::double" END/);
+        assert.match(sql, /statistic IS NULL/);
+    });
+});
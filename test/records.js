@@ -0,0 +1,93 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const to_records = require('../records');
+
+describe('records', function() {
+    const time = 1602953990892;
+
+    let _point = function(name, value, extra) {
+        return Object.assign({ context: 'vessels.self', name: name, value: value, timestamp: time }, extra);
+    };
+
+    it('maps values to timestream types', function() {
+        const records = to_records([
+            _point('a', 2.1),
+            _point('b', 'sailing'),
+            _point('c', true),
+            _point('d', BigInt(7))
+        ], {});
+        assert.deepStrictEqual(records.map(r => [r.MeasureName, r.MeasureValue, r.MeasureValueType]), [
+            ['a', '2.1', 'DOUBLE'],
+            ['b', 'sailing', 'VARCHAR'],
+            ['c', 'true', 'BOOLEAN'],
+            ['d', '7', 'BIGINT']
+        ]);
+        assert.strictEqual(records[0].Time, `${time}`);
+    });
+
+    it('leaves out what timestream can\'t store', function() {
+        const records = to_records([
+            _point('a', null),
+            _point('b', NaN),
+            _point('c', Infinity),
+            _point('d', {}),
+            _point('e', []),
+            _point('f', { latitude: null, longitude: 2 })
+        ], {});
+        assert.deepStrictEqual(records.map(r => r.MeasureName), ['f/longitude']);
+    });
+
+    it('writes a record per leaf of a composite value', function() {
+        const records = to_records([_point('navigation.position', { latitude: 1, longitude: 2 }, { source: 'gps.1' })], {});
+        assert.deepStrictEqual(records, [
+            {
+                MeasureName: 'navigation.position/latitude',
+                MeasureValue: '1',
+                MeasureValueType: 'DOUBLE',
+                Time: `${time}`,
+                Dimensions: [{ Name: 'source', Value: 'gps.1' }]
+            },
+            {
+                MeasureName: 'navigation.position/longitude',
+                MeasureValue: '2',
+                MeasureValueType: 'DOUBLE',
+                Time: `${time}`,
+                Dimensions: [{ Name: 'source', Value: 'gps.1' }]
+            }
+        ]);
+    });
+
+    it('writes a composite value as a multi-measure record', function() {
+        const records = to_records([_point('a', { x: 1, y: { 'z/w': 'v' }, n: null }, { statistic: 'max' })], { multi_measure: true });
+        assert.deepStrictEqual(records, [{
+            MeasureName: 'a',
+            MeasureValueType: 'MULTI',
+            MeasureValues: [
+                { Name: 'x', Value: '1', Type: 'DOUBLE' },
+                { Name: 'y/z~1w', Value: 'v', Type: 'VARCHAR' }
+            ],
+            Time: `${time}`,
+            Dimensions: [{ Name: 'statistic', Value: 'max' }]
+        }]);
+    });
+
+    it('writes nothing for a multi-measure value of nulls', function() {
+        assert.deepStrictEqual(to_records([_point('a', { x: null })], { multi_measure: true }), []);
+    });
+});
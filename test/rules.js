@@ -0,0 +1,111 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const create_rules = require('../rules');
+
+describe('rules', function() {
+    const start = Date.parse('2020-10-17T16:00:00Z');
+
+    let _rules = function() {
+        return create_rules({
+            write_interval: 60,
+            write_rules: [
+                { path: 'environment.depth.*', interval: 10, deadband_absolute: 0.5 },
+                { path: 'electrical.batteries.*', deadband_relative: 0.1, max_silence: 300 },
+                { path: 'navigation.state', change_only: true },
+                { path: 'environment.*', interval: 30 }
+            ]
+        });
+    };
+
+    // the names of the rules due at each of the times, in seconds from start
+    let _due = function(rules, seconds) {
+        return seconds.map(s => rules.take_due(start + s * 1000).map(rule => rule.path || 'default'));
+    };
+
+    it('uses the first rule matching the path', function() {
+        const rules = _rules();
+        assert.strictEqual(rules.rule_for('environment.depth.belowTransducer').path, 'environment.depth.*');
+        assert.strictEqual(rules.rule_for('environment.wind.speedApparent').path, 'environment.*');
+        assert.strictEqual(rules.rule_for('navigation.speedOverGround').path, undefined);
+        assert.strictEqual(rules.tick_interval, 10);
+    });
+
+    it('counts the first interval from the start', function() {
+        // the first tick comes a tick after the start
+        assert.deepStrictEqual(_due(_rules(), [10, 20, 30, 40, 50, 60, 70]), [
+            ['environment.depth.*'],
+            ['environment.depth.*'],
+            ['environment.depth.*', 'environment.*'],
+            ['environment.depth.*'],
+            ['environment.depth.*'],
+            ['environment.depth.*', 'electrical.batteries.*', 'navigation.state', 'environment.*', 'default'],
+            ['environment.depth.*']
+        ]);
+    });
+
+    it('allows for ticks that are a little late or early', function() {
+        assert.deepStrictEqual(_due(_rules(), [10, 24, 29, 41]), [
+            ['environment.depth.*'],
+            ['environment.depth.*'],
+            ['environment.depth.*', 'environment.*'],
+            ['environment.depth.*']
+        ]);
+    });
+
+    it('skips changes within an absolute deadband', function() {
+        const rules = _rules();
+        const rule = rules.rule_for('environment.depth.belowTransducer');
+        const last_written = { value: 10, time: start };
+        assert.strictEqual(rules.is_unchanged(rule, last_written, { value: 10.4 }, start + 10000), true);
+        assert.strictEqual(rules.is_unchanged(rule, last_written, { value: 9.5 }, start + 10000), true);
+        assert.strictEqual(rules.is_unchanged(rule, last_written, { value: 10.6 }, start + 10000), false);
+    });
+
+    it('skips changes within a relative deadband', function() {
+        const rules = _rules();
+        const rule = rules.rule_for('electrical.batteries.house.voltage');
+        const last_written = { value: 12, time: start };
+        assert.strictEqual(rules.is_unchanged(rule, last_written, { value: 13.1 }, start + 60000), true);
+        assert.strictEqual(rules.is_unchanged(rule, last_written, { value: 10.9 }, start + 60000), true);
+        assert.strictEqual(rules.is_unchanged(rule, last_written, { value: 13.3 }, start + 60000), false);
+    });
+
+    it('skips values that haven\'t changed', function() {
+        const rules = _rules();
+        const rule = rules.rule_for('navigation.state');
+        const last_written = { value: { state: 'sailing' }, time: start };
+        assert.strictEqual(rules.is_unchanged(rule, last_written, { value: { state: 'sailing' } }, start + 60000), true);
+        assert.strictEqual(rules.is_unchanged(rule, last_written, { value: { state: 'motoring' } }, start + 60000), false);
+    });
+
+    it('writes every value of a rule without a deadband', function() {
+        const rules = _rules();
+        const rule = rules.rule_for('navigation.speedOverGround');
+        assert.strictEqual(rules.is_unchanged(rule, { value: 2, time: start }, { value: 2 }, start + 60000), false);
+    });
+
+    it('writes an unchanged value again after max_silence', function() {
+        const rules = _rules();
+        const rule = rules.rule_for('electrical.batteries.house.voltage');
+        const last_written = { value: 12, time: start };
+        assert.strictEqual(rules.is_overdue(rule, last_written, start + 299000), false);
+        assert.strictEqual(rules.is_overdue(rule, last_written, start + 300000), true);
+        assert.strictEqual(rules.is_unchanged(rule, last_written, { value: 12 }, start + 300000), false);
+    });
+});
@@ -0,0 +1,80 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+
+const create_spool = require('../spool');
+
+describe('spool', function() {
+    const write_file_sync = fs.writeFileSync;
+    let directory;
+    let spool;
+    let sent;
+
+    const params = {
+        DatabaseName: 'signalk',
+        TableName: 'history',
+        Records: [{ MeasureName: 'navigation.speedOverGround', MeasureValue: '2.1', Time: '1602953990892' }]
+    };
+
+    beforeEach(function() {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'signalk-to-timestream-'));
+        sent = [];
+        spool = create_spool({
+            directory: directory,
+            max_bytes: 1024 * 1024,
+            max_age: 60 * 60 * 1000,
+            send: (p, callback) => { sent.push(p); setImmediate(() => callback(null)); },
+            is_retryable: () => true
+        });
+    });
+
+    afterEach(function() {
+        fs.writeFileSync = write_file_sync;
+        spool.stop();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('keeps a request on disk', function() {
+        assert.strictEqual(spool.push(params), true);
+        assert.strictEqual(spool.depth(), 1);
+    });
+
+    it('says so when a request can\'t be kept', function() {
+        fs.writeFileSync = function() {
+            const err = new Error('no space left on device');
+            err.code = 'ENOSPC';
+            throw err;
+        };
+
+        assert.strictEqual(spool.push(params), false);
+        assert.strictEqual(spool.depth(), 0);
+        assert.deepStrictEqual(fs.readdirSync(directory), []);
+    });
+
+    it('sends what it kept once it can', function() {
+        spool.push(params);
+        spool.drain();
+
+        return new Promise(resolve => setTimeout(resolve, 50)).then(function() {
+            assert.deepStrictEqual(sent, [params]);
+            assert.strictEqual(spool.depth(), 0);
+        });
+    });
+});
@@ -0,0 +1,84 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const create_track = require('../track');
+
+describe('track', function() {
+    const start = Date.parse('2020-10-17T16:00:00Z');
+    // about 11 metres
+    const step = 0.0001;
+
+    let _track = function(anchored) {
+        return create_track({
+            tolerance: 10,
+            min_distance: 5,
+            max_interval: 15 * 60 * 1000,
+            anchor_watch_interval: 60 * 1000,
+            is_anchored: () => !!anchored
+        });
+    };
+
+    let _point = function(seconds, latitude, longitude) {
+        return {
+            context: 'vessels.self',
+            source: 'gps.1',
+            name: 'navigation.position',
+            value: { latitude: latitude, longitude: longitude },
+            timestamp: start + seconds * 1000
+        };
+    };
+
+    // the seconds of the points written as the points are added and the
+    // track flushed
+    let _written = function(track, points) {
+        const written = points.map(p => track.add(p)).concat([track.flush()]);
+        return [].concat(...written).map(p => (p.timestamp - start) / 1000);
+    };
+
+    it('keeps the ends of a straight line', function() {
+        const points = [0, 1, 2, 3, 4, 5].map(i => _point(i * 10, 45 + i * step, -75));
+        assert.deepStrictEqual(_written(_track(), points), [0, 50]);
+    });
+
+    it('keeps the turns', function() {
+        // north, then east, about as far each time at this latitude
+        const points = [0, 1, 2, 3].map(i => _point(i * 10, 45 + i * step, -75))
+            .concat([1, 2, 3].map(i => _point(30 + i * 10, 45 + 3 * step, -75 + i * step * Math.SQRT2)));
+        assert.deepStrictEqual(_written(_track(), points), [0, 30, 60]);
+    });
+
+    it('drops points that aren\'t going anywhere', function() {
+        const points = [0, 1, 2, 3].map(i => _point(i * 10, 45 + (i % 2) * step / 10, -75));
+        assert.deepStrictEqual(_written(_track(), points), [0]);
+    });
+
+    it('writes a point at least every max_interval', function() {
+        const points = [0, 10, 20].map(minutes => _point(minutes * 60, 45, -75));
+        assert.deepStrictEqual(_written(_track(), points), [0, 20 * 60]);
+    });
+
+    it('writes a point every anchor watch interval when anchored', function() {
+        const points = [0, 30, 60, 90, 120].map(s => _point(s, 45, -75));
+        assert.deepStrictEqual(_written(_track(true), points), [0, 60, 120]);
+    });
+
+    it('passes other values through', function() {
+        const point = Object.assign(_point(0, 45, -75), { value: null });
+        assert.deepStrictEqual(_track().add(point), [point]);
+    });
+});
@@ -0,0 +1,65 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const debug = require('debug')('signalk-to-timestream:timestamps');
+const _ = require('lodash');
+
+// Checks the timestamps of updates, since devices without a GPS fix send
+// times in 1970, or in the future, which timestream rejects or files in the
+// wrong place.  A timestamp that can't be parsed is always bad, and one more
+// than max_age before or max_ahead after the server's time is too.  Bad
+// timestamps are either corrected to the server's time or dropped, along with
+// their update.
+//
+// options:
+//  action: 'correct' or 'drop'
+//  max_age, max_ahead: in ms, 0 for no limit
+//  on_corrected, on_dropped: function(count) called with how many values had
+//      their timestamp corrected or were dropped
+//
+// Returns check(timestamp, count, now), for an update with count values,
+// which returns the time of the update in ms, or undefined if it's to be
+// dropped.
+module.exports = function(options) {
+    let _reason = function(time, now) {
+        if (isNaN(time)) {
+            return 'invalid';
+        }
+        if (options.max_age > 0 && time < now - options.max_age) {
+            return 'too old';
+        }
+        if (options.max_ahead > 0 && time > now + options.max_ahead) {
+            return 'in the future';
+        }
+        return undefined;
+    };
+
+    return function(timestamp, count, now) {
+        const time = Date.parse(timestamp);
+        const reason = _reason(time, now);
+        if (_.isUndefined(reason)) {
+            return time;
+        }
+
+        if (options.action === 'drop') {
+            debug(`dropping ${count} values with timestamp ${timestamp} (${reason})`);
+            options.on_dropped(count);
+            return undefined;
+        }
+        debug(`correcting ${count} values with timestamp ${timestamp} (${reason})`);
+        options.on_corrected(count);
+        return now;
+    };
+};
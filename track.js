@@ -0,0 +1,149 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const trace = require('debug')('signalk-to-timestream:track:trace');
+const _ = require('lodash');
+
+const _earth_radius = 6371000;
+
+let _is_position = function(value) {
+    return _.isObject(value) && _.isFinite(value.latitude) && _.isFinite(value.longitude);
+};
+
+// positions in metres east and north of origin, which is close enough over
+// the distances we're simplifying
+let _to_metres = function(origin, position) {
+    const to_radians = degrees => degrees * Math.PI / 180;
+    return {
+        x: to_radians(position.longitude - origin.longitude) * Math.cos(to_radians(origin.latitude)) * _earth_radius,
+        y: to_radians(position.latitude - origin.latitude) * _earth_radius
+    };
+};
+
+let _distance = function(from, to) {
+    const d = _to_metres(from, to);
+    return Math.sqrt(d.x * d.x + d.y * d.y);
+};
+
+// distance from point to the segment from start to end
+let _distance_to_segment = function(start, end, point) {
+    const e = _to_metres(start, end);
+    const p = _to_metres(start, point);
+    const length_squared = e.x * e.x + e.y * e.y;
+    if (length_squared == 0) {
+        return Math.sqrt(p.x * p.x + p.y * p.y);
+    }
+    const t = Math.max(0, Math.min(1, (p.x * e.x + p.y * e.y) / length_squared));
+    const dx = p.x - t * e.x;
+    const dy = p.y - t * e.y;
+    return Math.sqrt(dx * dx + dy * dy);
+};
+
+// Simplifies the track of navigation.position as it's written, so we don't
+// pay for thousands of points on a straight line, or sitting on a mooring.
+//
+// For each context and source, we keep the last point written, and the points
+// since, as long as they're all within tolerance of the line from the last
+// point written to the newest point.  When a point takes the line out of
+// tolerance, the point before it (where we turned) is written.  This is the
+// opening window flavour of Douglas-Peucker, which works on a stream.
+//
+// Points closer than min_distance to the last one kept are dropped, as GPS
+// noise while we're not going anywhere.  Whatever happens, a point is written
+// at least every max_interval, or every anchor_watch_interval while
+// is_anchored says we're anchored, so there's a record of swinging on the
+// anchor.
+//
+// options:
+//  tolerance, min_distance: in metres
+//  max_interval, anchor_watch_interval: in ms
+//  is_anchored: function(context) returning whether we're anchored
+//
+// Returns { add(point), flush() }, which each return the points to write.
+module.exports = function(options) {
+    // key = context/source, value = { written, candidate, window }
+    let _tracks = {};
+
+    let _write = function(track, point) {
+        track.written = point;
+        track.candidate = undefined;
+        track.window = [];
+        return point;
+    };
+
+    let _add = function(point) {
+        if (!_is_position(point.value)) {
+            return [point];
+        }
+
+        const key = `${point.context}/${point.source}`;
+        let track = _tracks[key];
+        if (!track) {
+            track = _tracks[key] = { window: [] };
+        }
+        if (!track.written) {
+            return [_write(track, point)];
+        }
+
+        const interval = options.is_anchored(point.context) ?
+            options.anchor_watch_interval : options.max_interval;
+        const overdue = point.timestamp - track.written.timestamp >= interval;
+        const last = track.candidate || track.written;
+
+        // not going anywhere
+        if (_distance(last.value, point.value) < options.min_distance) {
+            if (!overdue) {
+                trace(`${key} dropping stationary point`);
+                return [];
+            }
+            // the candidate is where we stopped, so keep that too
+            const written = track.candidate ? [track.candidate] : [];
+            return written.concat([_write(track, point)]);
+        }
+
+        const in_tolerance = track.window.every(function(p) {
+            return _distance_to_segment(track.written.value, point.value, p.value) <= options.tolerance;
+        });
+
+        if (!in_tolerance) {
+            // we turned at the candidate, so it's the start of the next line
+            const turn = _write(track, track.candidate);
+            track.window = [point];
+            track.candidate = point;
+            return [turn];
+        }
+
+        if (overdue) {
+            return [_write(track, point)];
+        }
+
+        trace(`${key} holding point`);
+        track.window.push(point);
+        track.candidate = point;
+        return [];
+    };
+
+    // the points being held, for when we're stopping
+    let _flush = function() {
+        return _.flatten(Object.values(_tracks).map(function(track) {
+            return track.candidate ? [_write(track, track.candidate)] : [];
+        }));
+    };
+
+    return {
+        add: _add,
+        flush: _flush
+    };
+};
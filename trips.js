@@ -0,0 +1,224 @@
+/*
+ * Copyright 2020 Craig Howard <craig@choward.ca>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const debug = require('debug')('signalk-to-timestream:trips');
+const trace = require('debug')('signalk-to-timestream:trips:trace');
+const fs = require('fs');
+const _ = require('lodash');
+
+const _earth_radius = 6371000;
+
+// great circle distance in metres between two positions
+let _distance = function(from, to) {
+    const to_radians = degrees => degrees * Math.PI / 180;
+    const d_lat = to_radians(to.latitude - from.latitude);
+    const d_lon = to_radians(to.longitude - from.longitude);
+    const a = Math.pow(Math.sin(d_lat / 2), 2) +
+        Math.cos(to_radians(from.latitude)) * Math.cos(to_radians(to.latitude)) * Math.pow(Math.sin(d_lon / 2), 2);
+    return 2 * _earth_radius * Math.asin(Math.sqrt(a));
+};
+
+let _is_position = function(value) {
+    return _.isObject(value) && _.isFinite(value.latitude) && _.isFinite(value.longitude);
+};
+
+// eg trip-20201017-165950
+let _trip_id = function(time) {
+    const iso = time.toISOString();
+    return `trip-${iso.slice(0, 10).replace(/-/g, '')}-${iso.slice(11, 19).replace(/:/g, '')}`;
+};
+
+// Splits the vessel's history into trips, from the deltas for self.
+//
+// We're moving when speed over ground is at least start_speed, and stopped
+// when it's below stop_speed, or we're anchored or moored.  In between, we're
+// whatever we were.  A trip starts once we've been moving for start_after,
+// and ends once we've been stopped for stop_after, with the engine off, so a
+// short stop or a tack through the wind doesn't split a trip.  The trip
+// starts and ends when the moving or stopping began, not when we noticed.
+//
+// The open trip is kept in state_file, so a restart doesn't split it.
+//
+// options:
+//  start_speed, stop_speed: in m/s
+//  start_after, stop_after: in ms
+//  state_file: where to keep the open trip
+//  on_trip_end: function(trip) called with the summary of each finished trip
+//
+// Returns { handle_delta, current_id, current, stop }
+module.exports = function(options) {
+    // the open trip, as { id, start_time, start_position, last_position,
+    // distance, max_speed }, with times in ms
+    let _trip;
+
+    // what we know of the vessel now
+    let _speed;
+    let _state;
+    let _position;
+    let _engines = {};
+
+    // when moving (or stopping, if there's a trip) began, and where
+    let _since;
+    let _since_position;
+
+    if (fs.existsSync(options.state_file)) {
+        try {
+            _trip = JSON.parse(fs.readFileSync(options.state_file)).trip;
+            if (_trip) {
+                debug(`continuing trip ${_trip.id}`);
+            }
+        } catch (err) {
+            debug(`could not read ${options.state_file}: ${err}`);
+        }
+    }
+
+    let _save = function() {
+        try {
+            fs.writeFileSync(options.state_file, JSON.stringify({ trip: _trip }));
+        } catch (err) {
+            debug(`could not save ${options.state_file}: ${err}`);
+        }
+    };
+
+    let _is_moving = function() {
+        if (['anchored', 'moored'].includes(_state)) {
+            return false;
+        }
+        if (!_.isFinite(_speed)) {
+            return undefined;
+        }
+        if (_speed >= options.start_speed) {
+            return true;
+        }
+        if (_speed < options.stop_speed) {
+            return false;
+        }
+        return undefined;
+    };
+
+    let _engine_running = function() {
+        return Object.values(_engines).some(running => running);
+    };
+
+    let _summary = function(trip, end_time, end_position) {
+        let summary = {
+            id: trip.id,
+            startTime: new Date(trip.start_time).toISOString(),
+            distance: Math.round(trip.distance),
+            maxSpeedOverGround: trip.max_speed
+        };
+        if (trip.start_position) {
+            summary.startPosition = trip.start_position;
+        }
+        if (!_.isUndefined(end_time)) {
+            summary.endTime = new Date(end_time).toISOString();
+            summary.duration = Math.round((end_time - trip.start_time) / 1000);
+        }
+        if (end_position) {
+            summary.endPosition = end_position;
+        }
+        return summary;
+    };
+
+    let _open = function() {
+        _trip = {
+            id: _trip_id(new Date(_since)),
+            start_time: _since,
+            start_position: _since_position,
+            last_position: _since_position,
+            distance: 0,
+            max_speed: _.isFinite(_speed) ? _speed : 0
+        };
+        debug(`started ${_trip.id}`);
+        _since = undefined;
+        _save();
+    };
+
+    let _close = function() {
+        const summary = _summary(_trip, _since, _since_position);
+        debug(`finished ${_trip.id}: ${JSON.stringify(summary)}`);
+        _trip = undefined;
+        _since = undefined;
+        _save();
+        options.on_trip_end(summary);
+    };
+
+    let _evaluate = function(time) {
+        const moving = _is_moving();
+        // looking for a change from what we're doing now
+        const changing = _trip ? moving === false && !_engine_running() : moving === true;
+
+        if (!changing) {
+            _since = undefined;
+            return;
+        }
+        if (_.isUndefined(_since)) {
+            _since = time;
+            _since_position = _position;
+        }
+
+        if (!_trip && time - _since >= options.start_after) {
+            _open();
+        } else if (_trip && time - _since >= options.stop_after) {
+            _close();
+        }
+    };
+
+    let _handle_value = function(path, value) {
+        if (path === 'navigation.speedOverGround') {
+            _speed = value;
+            if (_trip && _.isFinite(value)) {
+                _trip.max_speed = Math.max(_trip.max_speed, value);
+            }
+        } else if (path === 'navigation.state') {
+            _state = value;
+        } else if (path === 'navigation.position' && _is_position(value)) {
+            _position = { latitude: value.latitude, longitude: value.longitude };
+            if (_trip) {
+                if (_trip.last_position) {
+                    _trip.distance += _distance(_trip.last_position, _position);
+                }
+                _trip.last_position = _position;
+                if (!_trip.start_position) {
+                    _trip.start_position = _position;
+                }
+            }
+        } else if (/^propulsion\.[^.]+\.state$/.test(path)) {
+            _engines[path] = value === 'started';
+        } else if (/^propulsion\.[^.]+\.revolutions$/.test(path)) {
+            _engines[path] = value > 0;
+        }
+    };
+
+    // delta is for self
+    let _handle_delta = function(delta) {
+        (delta.updates || []).forEach(function(update) {
+            if (!update.values) {
+                return;
+            }
+            const time = update.timestamp ? Date.parse(update.timestamp) : Date.now();
+            update.values.forEach(value => _handle_value(value.path, value.value));
+            _evaluate(isNaN(time) ? Date.now() : time);
+        });
+        trace(`speed=${_speed} state=${_state} trip=${_trip ? _trip.id : undefined}`);
+    };
+
+    return {
+        handle_delta: _handle_delta,
+        current_id: function() { return _trip ? _trip.id : undefined; },
+        current: function() { return _trip ? _summary(_trip, undefined, _trip.last_position) : undefined; },
+        stop: _save
+    };
+};